@@ -0,0 +1,27 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+
+    await queryInterface.addColumn('users', 'password_reset_token', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'password_reset_expires', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('users', ['password_reset_token'], {
+      name: 'idx_users_password_reset_token'
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeIndex('users', 'idx_users_password_reset_token');
+    await queryInterface.removeColumn('users', 'password_reset_token');
+    await queryInterface.removeColumn('users', 'password_reset_expires');
+  }
+};
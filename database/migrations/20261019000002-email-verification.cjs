@@ -0,0 +1,36 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+
+    await queryInterface.addColumn('users', 'email_verified_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'email_verification_token', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'email_verification_sent_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('users', ['email_verification_token'], {
+      name: 'idx_users_email_verification_token'
+    });
+
+    // Accounts created before verification existed are treated as verified
+    await queryInterface.sequelize.query('UPDATE users SET email_verified_at = created_at');
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeIndex('users', 'idx_users_email_verification_token');
+    await queryInterface.removeColumn('users', 'email_verified_at');
+    await queryInterface.removeColumn('users', 'email_verification_token');
+    await queryInterface.removeColumn('users', 'email_verification_sent_at');
+  }
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('roles', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      permissions: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('user_roles', {
+      user_id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      role_id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        references: {
+          model: 'roles',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+    await queryInterface.addIndex('user_roles', ['role_id']);
+
+    // Default roles
+    await queryInterface.bulkInsert('roles', [
+      {
+        name: 'admin',
+        description: 'Full access to every resource',
+        permissions: JSON.stringify(['*']),
+        created_at: new Date(),
+        updated_at: new Date()
+      },
+      {
+        name: 'user',
+        description: 'Regular account',
+        permissions: JSON.stringify(['users:read']),
+        created_at: new Date(),
+        updated_at: new Date()
+      }
+    ]);
+
+    // Existing accounts become regular users
+    await queryInterface.sequelize.query(`
+      INSERT INTO user_roles (user_id, role_id, created_at, updated_at)
+      SELECT users.id, roles.id, NOW(), NOW() FROM users CROSS JOIN roles WHERE roles.name = 'user'
+    `);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('user_roles');
+    await queryInterface.dropTable('roles');
+  }
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('sessions', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      refresh_token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      device: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.STRING(512),
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+    await queryInterface.addIndex('sessions', ['user_id']);
+    await queryInterface.addIndex('sessions', ['expires_at']);
+
+    // Refresh tokens now live in sessions; existing single-session tokens are dropped
+    await queryInterface.removeColumn('users', 'refresh_token');
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'refresh_token', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    await queryInterface.dropTable('sessions');
+  }
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+
+    await queryInterface.addColumn('users', 'mfa_secret', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'mfa_enabled_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'mfa_last_used_step', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.createTable('mfa_recovery_codes', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      code_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+    await queryInterface.addIndex('mfa_recovery_codes', ['user_id']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('mfa_recovery_codes');
+    await queryInterface.removeColumn('users', 'mfa_secret');
+    await queryInterface.removeColumn('users', 'mfa_enabled_at');
+    await queryInterface.removeColumn('users', 'mfa_last_used_step');
+  }
+};
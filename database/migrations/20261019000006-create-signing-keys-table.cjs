@@ -0,0 +1,48 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('signing_keys', {
+      kid: {
+        type: Sequelize.STRING(64),
+        primaryKey: true,
+        allowNull: false
+      },
+      algorithm: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      public_key: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      private_key: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      retired_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('signing_keys');
+  }
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'magic_link_token', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'magic_link_expires', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('users', ['magic_link_token'], {
+      name: 'idx_users_magic_link_token'
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeIndex('users', 'idx_users_magic_link_token');
+    await queryInterface.removeColumn('users', 'magic_link_token');
+    await queryInterface.removeColumn('users', 'magic_link_expires');
+  }
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('password_histories', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      password_hash: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+    await queryInterface.addIndex('password_histories', ['user_id', 'created_at']);
+
+    await queryInterface.addColumn('users', 'password_changed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'lockout_count', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    // Existing passwords are treated as set when the account was created
+    await queryInterface.sequelize.query(
+      'UPDATE users SET password_changed_at = created_at WHERE password IS NOT NULL'
+    );
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'lockout_count');
+    await queryInterface.removeColumn('users', 'password_changed_at');
+    await queryInterface.dropTable('password_histories');
+  }
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('audit_events', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      event_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      actor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      target_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.STRING(512),
+        allowNull: true
+      },
+      request_id: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      metadata: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+    await queryInterface.addIndex('audit_events', ['event_type']);
+    await queryInterface.addIndex('audit_events', ['actor_id']);
+    await queryInterface.addIndex('audit_events', ['target_id']);
+    await queryInterface.addIndex('audit_events', ['created_at']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('audit_events');
+  }
+};
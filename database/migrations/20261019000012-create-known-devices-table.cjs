@@ -0,0 +1,70 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('known_devices', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      fingerprint: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      device: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.STRING(512),
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      last_seen_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      report_token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+        unique: true
+      },
+      report_expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+    await queryInterface.addIndex('known_devices', ['user_id', 'fingerprint'], { unique: true });
+    await queryInterface.addIndex('known_devices', ['last_seen_at']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('known_devices');
+  }
+};
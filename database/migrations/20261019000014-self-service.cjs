@@ -0,0 +1,42 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Email changes wait here until the new address is verified
+    await queryInterface.addColumn('users', 'pending_email', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'email_change_token', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'email_change_expires', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('users', ['email_change_token'], {
+      name: 'idx_users_email_change_token'
+    });
+
+    // Regular users now reach their own record through /api/users/me or /api/users/:id;
+    // reading other accounts needs an explicit users:read grant. Customised roles are left alone.
+    await queryInterface.sequelize.query(
+      `UPDATE roles SET permissions = '[]' WHERE name = 'user' AND JSON_CONTAINS(permissions, '["users:read"]') AND JSON_LENGTH(permissions) = 1`
+    );
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `UPDATE roles SET permissions = '["users:read"]' WHERE name = 'user' AND JSON_LENGTH(permissions) = 0`
+    );
+    await queryInterface.removeIndex('users', 'idx_users_email_change_token');
+    await queryInterface.removeColumn('users', 'pending_email');
+    await queryInterface.removeColumn('users', 'email_change_token');
+    await queryInterface.removeColumn('users', 'email_change_expires');
+  }
+};
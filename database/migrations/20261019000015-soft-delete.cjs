@@ -0,0 +1,26 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Paranoid models: destroy() sets deleted_at; the purge-soft-deleted job removes rows for good
+    await queryInterface.addColumn('users', 'deleted_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addIndex('users', ['deleted_at']);
+
+    await queryInterface.addColumn('products', 'deleted_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addIndex('products', ['deleted_at']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeIndex('products', ['deleted_at']);
+    await queryInterface.removeColumn('products', 'deleted_at');
+    await queryInterface.removeIndex('users', ['deleted_at']);
+    await queryInterface.removeColumn('users', 'deleted_at');
+  }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Suspended accounts cannot sign in or use API keys until reactivated by an admin
+    await queryInterface.addColumn('users', 'suspended_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'suspension_reason', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'suspended_at');
+    await queryInterface.removeColumn('users', 'suspension_reason');
+  }
+};
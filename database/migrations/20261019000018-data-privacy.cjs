@@ -0,0 +1,38 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Latest personal data export (S3 key) and when it was requested
+    await queryInterface.addColumn('users', 'data_export_key', {
+      type: Sequelize.STRING(512),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'data_exported_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Right to erasure: the account is anonymized once erasure_scheduled_at has passed
+    await queryInterface.addColumn('users', 'erasure_scheduled_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('users', 'erased_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('users', ['erasure_scheduled_at']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeIndex('users', ['erasure_scheduled_at']);
+    await queryInterface.removeColumn('users', 'data_export_key');
+    await queryInterface.removeColumn('users', 'data_exported_at');
+    await queryInterface.removeColumn('users', 'erasure_scheduled_at');
+    await queryInterface.removeColumn('users', 'erased_at');
+  }
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // S3 key of the user's avatar; responses expose a presigned URL instead
+    await queryInterface.addColumn('users', 'avatar_key', {
+      type: Sequelize.STRING(512),
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'avatar_key');
+  }
+};
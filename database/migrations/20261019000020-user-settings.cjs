@@ -0,0 +1,16 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Settings the user changed from their defaults (see settingsService)
+    await queryInterface.addColumn('users', 'settings', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'settings');
+  }
+};
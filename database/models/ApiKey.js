@@ -0,0 +1,61 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../connection.js';
+
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  prefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false
+  },
+  key_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_used_ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  }
+}, {
+  tableName: 'api_keys',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+export default ApiKey;
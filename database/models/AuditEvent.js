@@ -0,0 +1,60 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../connection.js';
+
+// Append-only security log; user ids are kept without foreign keys so events outlive the accounts
+const AuditEvent = sequelize.define('AuditEvent', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  event_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  actor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  target_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.STRING(512),
+    allowNull: true
+  },
+  request_id: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  tableName: 'audit_events',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['event_type']
+    },
+    {
+      fields: ['actor_id']
+    },
+    {
+      fields: ['target_id']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+export default AuditEvent;
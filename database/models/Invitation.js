@@ -0,0 +1,82 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../connection.js';
+
+// Pending until accepted, revoked or past expires_at
+const Invitation = sequelize.define('Invitation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      isEmail: true
+    }
+  },
+  role_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'roles',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE'
+  },
+  // SHA-256 of the token in the invitation link
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  invited_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  last_sent_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  accepted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  accepted_user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE'
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'invitations',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['email']
+    }
+  ]
+});
+
+export default Invitation;
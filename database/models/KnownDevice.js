@@ -0,0 +1,65 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../connection.js';
+
+const KnownDevice = sequelize.define('KnownDevice', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+  fingerprint: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  device: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.STRING(512),
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  last_seen_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  report_token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    unique: true
+  },
+  report_expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'known_devices',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'fingerprint']
+    },
+    {
+      fields: ['last_seen_at']
+    }
+  ]
+});
+
+export default KnownDevice;
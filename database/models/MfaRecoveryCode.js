@@ -0,0 +1,40 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../connection.js';
+
+const MfaRecoveryCode = sequelize.define('MfaRecoveryCode', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+  code_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'mfa_recovery_codes',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+export default MfaRecoveryCode;
@@ -0,0 +1,48 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../connection.js';
+
+const OAuthClient = sequelize.define('OAuthClient', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  client_id: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  secret_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE'
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'oauth_clients',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+export default OAuthClient;
@@ -0,0 +1,36 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../connection.js';
+
+const PasswordHistory = sequelize.define('PasswordHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+  password_hash: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  }
+}, {
+  tableName: 'password_histories',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['user_id', 'created_at']
+    }
+  ]
+});
+
+export default PasswordHistory;
@@ -42,6 +42,9 @@ const Product = sequelize.define('Product', {
   timestamps: true,
   createdAt: 'created_at',
   updatedAt: 'updated_at',
+  // Soft delete: destroy() sets deleted_at and queries skip those rows unless paranoid: false
+  paranoid: true,
+  deletedAt: 'deleted_at',
   indexes: [
     {
       fields: [
@@ -52,6 +55,11 @@ const Product = sequelize.define('Product', {
       fields: [
         'name'
       ]
+    },
+    {
+      fields: [
+        'deleted_at'
+      ]
     }
   ]
 });
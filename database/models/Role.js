@@ -0,0 +1,41 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../connection.js';
+
+const Role = sequelize.define('Role', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Permission strings such as 'users:delete', 'users:*' or '*'
+  permissions: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  }
+}, {
+  tableName: 'roles',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['name']
+    }
+  ]
+});
+
+export default Role;
@@ -0,0 +1,59 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../connection.js';
+
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+  refresh_token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  device: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.STRING(512),
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'sessions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['expires_at']
+    }
+  ]
+});
+
+export default Session;
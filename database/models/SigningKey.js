@@ -0,0 +1,39 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../connection.js';
+
+const SigningKey = sequelize.define('SigningKey', {
+  // Published as the JWT "kid" header
+  kid: {
+    type: DataTypes.STRING(64),
+    primaryKey: true
+  },
+  algorithm: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  public_key: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Encrypted PEM
+  private_key: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Set when a newer key takes over signing; the key still verifies until expires_at
+  retired_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'signing_keys',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+export default SigningKey;
@@ -16,9 +16,10 @@ const User = sequelize.define('User', {
       notEmpty: true
     }
   },
+  // Null for accounts that only sign in through an OIDC provider
   password: {
     type: DataTypes.STRING(255),
-    allowNull: false,
+    allowNull: true,
     validate: {
       notEmpty: true
     }
@@ -30,19 +31,145 @@ const User = sequelize.define('User', {
       notEmpty: true
     }
   },
-  refresh_token: {
+  failed_login_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  account_locked_until: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Consecutive lockouts, used for progressive backoff; reset on successful login
+  lockout_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  password_changed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  password_reset_token: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  password_reset_expires: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  email_verified_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  email_verification_token: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  email_verification_sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Encrypted TOTP secret; 2FA is active only once mfa_enabled_at is set
+  mfa_secret: {
     type: DataTypes.TEXT,
     allowNull: true
+  },
+  mfa_enabled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  mfa_last_used_step: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  magic_link_token: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  magic_link_expires: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Requested email change, applied once the new address is verified
+  pending_email: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  email_change_token: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  email_change_expires: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Set by an admin; blocks sign-in and API keys until cleared
+  suspended_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  suspension_reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // S3 key; responses expose a presigned URL instead
+  avatar_key: {
+    type: DataTypes.STRING(512),
+    allowNull: true
+  },
+  // Only the settings the user changed; defaults come from settingsService
+  settings: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  data_export_key: {
+    type: DataTypes.STRING(512),
+    allowNull: true
+  },
+  data_exported_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Right to erasure: anonymized by the process-account-erasures job once this has passed
+  erasure_scheduled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  erased_at: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'users',
   timestamps: true,
   createdAt: 'created_at',
   updatedAt: 'updated_at',
+  // Soft delete: destroy() sets deleted_at and queries skip those rows unless paranoid: false
+  paranoid: true,
+  deletedAt: 'deleted_at',
   indexes: [
     {
       unique: true,
       fields: ['email']
+    },
+    {
+      fields: ['password_reset_token']
+    },
+    {
+      fields: ['email_verification_token']
+    },
+    {
+      fields: ['magic_link_token']
+    },
+    {
+      fields: ['email_change_token']
+    },
+    {
+      fields: ['deleted_at']
+    },
+    {
+      fields: ['erasure_scheduled_at']
     }
   ]
 });
@@ -0,0 +1,52 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../connection.js';
+
+const UserIdentity = sequelize.define('UserIdentity', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  subject: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  last_login_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'user_identities',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['provider', 'subject']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+export default UserIdentity;
@@ -0,0 +1,37 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../connection.js';
+
+const UserRole = sequelize.define('UserRole', {
+  user_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  },
+  role_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: 'roles',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    onUpdate: 'CASCADE'
+  }
+}, {
+  tableName: 'user_roles',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['role_id']
+    }
+  ]
+});
+
+export default UserRole;
@@ -1,16 +1,61 @@
 import sequelize from '../connection.js';
 import User from './User.js';
 import Product from './Product.js';
+import Role from './Role.js';
+import UserRole from './UserRole.js';
+import Session from './Session.js';
+import MfaRecoveryCode from './MfaRecoveryCode.js';
+import SigningKey from './SigningKey.js';
+import ApiKey from './ApiKey.js';
+import UserIdentity from './UserIdentity.js';
+import PasswordHistory from './PasswordHistory.js';
+import AuditEvent from './AuditEvent.js';
+import KnownDevice from './KnownDevice.js';
+import OAuthClient from './OAuthClient.js';
+import Invitation from './Invitation.js';
 
-// Define associations here if needed
-// Example:
-// User.hasMany(Post);
-// Post.belongsTo(User);
+// Associations
+User.belongsToMany(Role, {
+  through: UserRole,
+  foreignKey: 'user_id',
+  otherKey: 'role_id',
+  as: 'roles'
+});
+Role.belongsToMany(User, {
+  through: UserRole,
+  foreignKey: 'role_id',
+  otherKey: 'user_id',
+  as: 'users'
+});
+User.hasMany(Session, { foreignKey: 'user_id', as: 'sessions' });
+Session.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(MfaRecoveryCode, { foreignKey: 'user_id', as: 'recoveryCodes' });
+User.hasMany(ApiKey, { foreignKey: 'user_id', as: 'apiKeys' });
+ApiKey.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(UserIdentity, { foreignKey: 'user_id', as: 'identities' });
+UserIdentity.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(PasswordHistory, { foreignKey: 'user_id', as: 'passwordHistory' });
+User.hasMany(KnownDevice, { foreignKey: 'user_id', as: 'knownDevices' });
+KnownDevice.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+Invitation.belongsTo(Role, { foreignKey: 'role_id', as: 'role' });
+Invitation.belongsTo(User, { foreignKey: 'invited_by', as: 'inviter' });
 
 const db = {
   sequelize,
   User,
-  Product
+  Product,
+  Role,
+  UserRole,
+  Session,
+  MfaRecoveryCode,
+  SigningKey,
+  ApiKey,
+  UserIdentity,
+  PasswordHistory,
+  AuditEvent,
+  KnownDevice,
+  OAuthClient,
+  Invitation
 };
 
 export default db;
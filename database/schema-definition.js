@@ -3,6 +3,9 @@
  * 
  * Define your database schema here and use this to generate migrations
  * Run: node database/schema-generator.js <model-name>
+ *
+ * Set `paranoid: true` (with `timestamps: true`) for soft deletes: a `deleted_at` column,
+ * `POST /:id/restore`, `?withDeleted=true` for admins and purging by the purge-soft-deleted job.
  */
 
 export const schemas = {
@@ -43,6 +46,7 @@ export const schemas = {
       { fields: ['email'], unique: true }
     ],
     timestamps: true,
+    paranoid: true,
     // API configuration
     api: {
       sortFields: ['name', 'email', 'created_at', 'updated_at'],
@@ -101,6 +105,7 @@ export const schemas = {
       { fields: ['name'] }
     ],
     timestamps: true,
+    paranoid: true,
     // API configuration
     api: {
       sortFields: ['name', 'price', 'created_at', 'updated_at'],
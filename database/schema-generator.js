@@ -23,6 +23,12 @@ if (!schemas[modelName]) {
 const schema = schemas[modelName];
 const moduleName = modelName.toLowerCase();
 
+// Soft deletes (paranoid: true) need the timestamp columns
+const paranoid = Boolean(schema.paranoid && schema.timestamps);
+
+// Shared by the migration and the model so both declare the same indexes
+const schemaIndexes = [...(schema.indexes || []), ...(paranoid ? [{ fields: ['deleted_at'] }] : [])];
+
 // Check if model already exists
 const modelPath = path.join(__dirname, 'models', `${modelName}.js`);
 const modulePath = path.join(__dirname, '..', 'src', 'modules', moduleName);
@@ -105,9 +111,13 @@ ${generateFields(schema.fields)}${schema.timestamps ? `,
         type: Sequelize.DATE,
         allowNull: false,
         defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }` : ''}${paranoid ? `,
+      deleted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
       }` : ''}
     });
-${generateIndexes(schema.tableName, schema.indexes)}
+${generateIndexes(schema.tableName, schemaIndexes)}
   },
 
   down: async (queryInterface, Sequelize) => {
@@ -159,9 +169,11 @@ ${Object.entries(schema.fields)
   tableName: '${schema.tableName}',
   timestamps: ${schema.timestamps || false},${schema.timestamps ? `
   createdAt: 'created_at',
-  updatedAt: 'updated_at',` : ''}${schema.indexes && schema.indexes.length > 0 ? `
+  updatedAt: 'updated_at',` : ''}${paranoid ? `
+  paranoid: true,
+  deletedAt: 'deleted_at',` : ''}${schemaIndexes.length > 0 ? `
   indexes: [
-${schema.indexes.map(index => {
+${schemaIndexes.map(index => {
   const fields = index.fields.map(f => `'${f}'`).join(', ');
   const unique = index.unique ? ', unique: true' : '';
   return `    { fields: [${fields}]${unique} }`;
@@ -187,21 +199,24 @@ if (!fs.existsSync(modulePath)) {
 
 // Generate Manager
 const managerContent = `import db from '../../../database/models/index.js';
-import { AppError, COMMON_ERRORS } from '../../middleware/errorHandler.js';
+import { AppError, COMMON_ERRORS${paranoid ? ', ERROR_CODES' : ''} } from '../../middleware/errorHandler.js';
 
 const { ${modelName} } = db;
-
-export const findAll = async (filters = {}, sort = {}) => {
+${paranoid ? `
+// Soft-deleted ${moduleName}s are left out unless options.paranoid is false (see withDeleted middleware)
+export const findAll = async (filters = {}, sort = {}, options = {}) => {` : `
+export const findAll = async (filters = {}, sort = {}) => {`}
   const order = sort.field ? [[sort.field, sort.order]] : [['created_at', 'DESC']];
 
   const items = await ${modelName}.findAll({
     where: filters,
-    order
+    order${paranoid ? `,
+    paranoid: options.paranoid !== false` : ''}
   });
   return items;
 };
 
-export const findAndCountAll = async (filters = {}, sort = {}, pagination = {}) => {
+export const findAndCountAll = async (filters = {}, sort = {}, pagination = {}${paranoid ? ', options = {}' : ''}) => {
   const { limit, offset } = pagination;
   const order = sort.field ? [[sort.field, sort.order]] : [['created_at', 'DESC']];
 
@@ -209,7 +224,8 @@ export const findAndCountAll = async (filters = {}, sort = {}, pagination = {})
     where: filters,
     order,
     limit,
-    offset
+    offset${paranoid ? `,
+    paranoid: options.paranoid !== false` : ''}
   });
 
   return {
@@ -218,8 +234,9 @@ export const findAndCountAll = async (filters = {}, sort = {}, pagination = {})
   };
 };
 
-export const findByPk = async (id) => {
-  const item = await ${modelName}.findByPk(id);
+${paranoid ? `export const findByPk = async (id, options = {}) => {
+  const item = await ${modelName}.findByPk(id, { paranoid: options.paranoid !== false });` : `export const findByPk = async (id) => {
+  const item = await ${modelName}.findByPk(id);`}
 
   if (!item) {
     throw new AppError(COMMON_ERRORS.NOT_FOUND);
@@ -254,10 +271,25 @@ export const deleteOne = async (id) => {
   await item.destroy();
   return { success: true };
 };
-`;
+${paranoid ? `
+export const restoreOne = async (id) => {
+  const item = await ${modelName}.findByPk(id, { paranoid: false });
+
+  if (!item) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  if (!item.deleted_at) {
+    throw new AppError('${modelName} is not deleted', 400, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  await item.restore();
+  return findByPk(id);
+};
+` : ''}`;
 
 // Generate Controller
-const controllerContent = `import { findAll, findAndCountAll, findByPk, createOne, updateOne, deleteOne } from './manager.js';
+const controllerContent = `import { findAll, findAndCountAll, findByPk, createOne, updateOne, deleteOne${paranoid ? ', restoreOne' : ''} } from './manager.js';
 import { catchAsync } from '../../middleware/errorHandler.js';
 import logger from '../../config/logger.js';
 
@@ -265,7 +297,8 @@ export const getAllPaginated = catchAsync(async (req, res) => {
   const { items, total } = await findAndCountAll(
     req.filters || {},
     req.sort || {},
-    req.pagination || {}
+    req.pagination || {}${paranoid ? `,
+    { paranoid: req.paranoid }` : ''}
   );
 
   res.status(200).json({
@@ -278,7 +311,8 @@ export const getAllPaginated = catchAsync(async (req, res) => {
 export const getAll = catchAsync(async (req, res) => {
   const items = await findAll(
     req.filters || {},
-    req.sort || {}
+    req.sort || {}${paranoid ? `,
+    { paranoid: req.paranoid }` : ''}
   );
 
   res.status(200).json({
@@ -289,7 +323,7 @@ export const getAll = catchAsync(async (req, res) => {
 
 export const getById = catchAsync(async (req, res) => {
   const { id } = req.params;
-  const item = await findByPk(id);
+  const item = await findByPk(id${paranoid ? ', { paranoid: req.paranoid }' : ''});
 
   res.status(200).json({
     success: true,
@@ -330,7 +364,19 @@ export const deleteItem = catchAsync(async (req, res) => {
     message: '${modelName} deleted successfully'
   });
 });
-`;
+${paranoid ? `
+export const restore = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const item = await restoreOne(id);
+  logger.info(\`${modelName} restored: \${id}\`);
+
+  res.status(200).json({
+    success: true,
+    message: '${modelName} restored successfully',
+    data: item
+  });
+});
+` : ''}`;
 
 // Generate Joi validation schemas
 function generateJoiValidation(fields) {
@@ -495,11 +541,20 @@ ${properties.join('\n')}`;
 const createSchemaStr = generateSwaggerSchema(schema.fields, true);
 const updateSchemaStr = generateSwaggerSchema(schema.fields, false);
 
+const restorePermission = `${moduleName}s:restore`;
+const withDeletedParam = paranoid ? `
+ *       - in: query
+ *         name: withDeleted
+ *         description: Include soft-deleted ${moduleName}s (requires ${restorePermission})
+ *         schema:
+ *           type: boolean` : '';
+
 const routesContent = `import express from 'express';
-import { getAllPaginated, getAll, getById, create, update, deleteItem } from './controller.js';
-import authMiddleware from '../../middleware/authMiddleware.js';
+import { getAllPaginated, getAll, getById, create, update, deleteItem${paranoid ? ', restore' : ''} } from './controller.js';
+import authMiddleware from '../../middleware/authMiddleware.js';${paranoid ? `
+import { authorize } from '../../middleware/authorize.js';` : ''}
 import { validate } from '../../middleware/validate.js';
-import { paginate, sort, filter } from '../../middleware/queryHelpers.js';
+import { paginate, sort, filter${paranoid ? ', withDeleted' : ''} } from '../../middleware/queryHelpers.js';
 import { create${modelName}Schema, update${modelName}Schema, idParamSchema } from './validation.js';
 
 const router = express.Router();
@@ -558,7 +613,7 @@ router.use(authMiddleware);
  *         name: sortOrder
  *         schema:
  *           type: string
- *           enum: [asc, desc]
+ *           enum: [asc, desc]${withDeletedParam}
  *     responses:
  *       200:
  *         description: Paginated list of ${moduleName}s
@@ -567,7 +622,8 @@ router.get(
   '/',
   paginate,
   sort([${sortFieldsStr}]),
-  filter([${filterFieldsStr}]),
+  filter([${filterFieldsStr}]),${paranoid ? `
+  withDeleted('${restorePermission}'),` : ''}
   getAllPaginated
 );
 
@@ -612,7 +668,7 @@ router.get(
  *         name: sortOrder
  *         schema:
  *           type: string
- *           enum: [asc, desc]
+ *           enum: [asc, desc]${withDeletedParam}
  *     responses:
  *       200:
  *         description: All ${moduleName}s
@@ -620,7 +676,8 @@ router.get(
 router.get(
   '/all',
   sort([${sortFieldsStr}]),
-  filter([${filterFieldsStr}]),
+  filter([${filterFieldsStr}]),${paranoid ? `
+  withDeleted('${restorePermission}'),` : ''}
   getAll
 );
 
@@ -637,14 +694,14 @@ router.get(
  *         name: id
  *         required: true
  *         schema:
- *           type: integer
+ *           type: integer${withDeletedParam}
  *     responses:
  *       200:
  *         description: ${modelName} details
  *       404:
  *         description: ${modelName} not found
  */
-router.get('/:id', validate(idParamSchema, 'params'), getById);
+router.get('/:id', validate(idParamSchema, 'params'), ${paranoid ? `withDeleted('${restorePermission}'), ` : ''}getById);
 
 /**
  * @swagger
@@ -717,7 +774,32 @@ router.put('/:id', validate(idParamSchema, 'params'), validate(update${modelName
  *         description: ${modelName} not found
  */
 router.delete('/:id', validate(idParamSchema, 'params'), deleteItem);
-
+${paranoid ? `
+/**
+ * @swagger
+ * /api/${moduleName}s/{id}/restore:
+ *   post:
+ *     tags: [${modelName}s]
+ *     summary: Restore a soft-deleted ${moduleName}
+ *     description: Requires the \`${restorePermission}\` permission
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: ${modelName} restored successfully
+ *       400:
+ *         description: ${modelName} is not deleted
+ *       404:
+ *         description: ${modelName} not found
+ */
+router.post('/:id/restore', authorize('${restorePermission}'), validate(idParamSchema, 'params'), restore);
+` : ''}
 export default router;
 `;
 
@@ -0,0 +1,29 @@
+'use strict';
+
+const DEMO_ROLES = {
+  'admin@example.com': 'admin',
+  'user@example.com': 'user'
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const [users] = await queryInterface.sequelize.query(
+      'SELECT id, email FROM users WHERE email IN (:emails)',
+      { replacements: { emails: Object.keys(DEMO_ROLES) } }
+    );
+    const [roles] = await queryInterface.sequelize.query('SELECT id, name FROM roles');
+
+    const rows = users.map((user) => ({
+      user_id: user.id,
+      role_id: roles.find((role) => role.name === DEMO_ROLES[user.email]).id,
+      created_at: new Date(),
+      updated_at: new Date()
+    }));
+
+    await queryInterface.bulkInsert('user_roles', rows);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.bulkDelete('user_roles', null, {});
+  }
+};
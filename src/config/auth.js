@@ -0,0 +1,190 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Auth Configuration
+ * Tunable authentication policies. All values can be overridden from the environment.
+ */
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Password reset links expire after 1 hour (matches the email template copy)
+export const PASSWORD_RESET_EXPIRY_MS = 60 * 60 * 1000;
+
+// Set-password links for accounts created by an admin without a password
+export const ACCOUNT_SETUP_EXPIRY_MS = toInt(process.env.ACCOUNT_SETUP_EXPIRY_DAYS, 3) * 24 * 60 * 60 * 1000;
+
+// Magic login links are short-lived; the email template shows the actual lifetime
+export const MAGIC_LINK_EXPIRY_MS = toInt(process.env.MAGIC_LINK_EXPIRY_MINUTES, 15) * 60 * 1000;
+
+// "This wasn't me" links in new sign-in emails stay valid for a week
+export const NEW_DEVICE_REPORT_EXPIRY_MS = toInt(process.env.NEW_DEVICE_REPORT_EXPIRY_DAYS, 7) * 24 * 60 * 60 * 1000;
+
+// Email verification links expire after 24 hours (matches the email template copy)
+export const EMAIL_VERIFICATION_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+// Minimum time between verification emails for the same account
+export const EMAIL_VERIFICATION_RESEND_COOLDOWN_MS = toInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS, 60) * 1000;
+
+/**
+ * How login treats users who have not verified their email:
+ * - allow:  no restrictions
+ * - limit:  login succeeds, routes guarded by requireVerifiedEmail reject the user
+ * - reject: login is refused until the email is verified
+ */
+export const EMAIL_VERIFICATION_POLICIES = ['allow', 'limit', 'reject'];
+export const EMAIL_VERIFICATION_POLICY = EMAIL_VERIFICATION_POLICIES.includes(process.env.EMAIL_VERIFICATION_POLICY)
+  ? process.env.EMAIL_VERIFICATION_POLICY
+  : 'limit';
+
+/**
+ * Password policy, applied wherever a password is set (see services/passwordPolicyService.js)
+ * - historyCount: previous passwords that may not be reused (0 disables)
+ * - maxAgeDays: passwords older than this must be changed before other routes work (0 disables)
+ * - blocklistFile: newline-separated common passwords, compared case-insensitively
+ */
+export const PASSWORD_POLICY = {
+  minLength: toInt(process.env.PASSWORD_MIN_LENGTH, 8),
+  maxLength: 255,
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+  requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL !== 'false',
+  historyCount: toInt(process.env.PASSWORD_HISTORY_COUNT, 5),
+  maxAgeDays: toInt(process.env.PASSWORD_MAX_AGE_DAYS, 0),
+  blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || 'src/config/common-passwords.txt'
+};
+
+/**
+ * Account lockout after repeated failed sign-in attempts (passwords and 2FA codes)
+ * With progressive backoff each consecutive lockout doubles the duration, up to maxDurationMinutes.
+ */
+export const LOCKOUT_POLICY = {
+  maxAttempts: toInt(process.env.LOCKOUT_MAX_ATTEMPTS, 5),
+  durationMinutes: toInt(process.env.LOCKOUT_DURATION_MINUTES, 15),
+  progressive: process.env.LOCKOUT_PROGRESSIVE === 'true',
+  maxDurationMinutes: toInt(process.env.LOCKOUT_MAX_DURATION_MINUTES, 24 * 60)
+};
+
+// Role assigned to newly registered users
+export const DEFAULT_ROLE = process.env.DEFAULT_ROLE || 'user';
+
+// false = invitation-only: /api/auth/register is closed and login providers can't create new accounts
+export const OPEN_REGISTRATION = process.env.OPEN_REGISTRATION !== 'false';
+
+// Default lifetime of invitation links (admins can pick 1-30 days per invitation)
+export const INVITATION_EXPIRY_DAYS = toInt(process.env.INVITATION_EXPIRY_DAYS, 7);
+
+// Two-factor authentication
+export const MFA_ISSUER = process.env.MFA_ISSUER || process.env.EMAIL_FROM_NAME || 'Hyper Server';
+export const MFA_TOKEN_EXPIRES_IN = process.env.MFA_TOKEN_EXPIRES_IN || '5m';
+export const MFA_RECOVERY_CODE_COUNT = 10;
+
+// Impersonation tokens are access-only (no refresh token) and deliberately short-lived
+export const IMPERSONATION_TOKEN_EXPIRES_IN = process.env.IMPERSONATION_TOKEN_EXPIRES_IN || '15m';
+
+/**
+ * Access token signing
+ * - HS256: shared JWT_SECRET (default)
+ * - RS256 / ES256: key pairs stored in signing_keys, published at /.well-known/jwks.json
+ */
+export const JWT_ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+export const JWT_ALGORITHM = JWT_ALGORITHMS.includes(process.env.JWT_ALGORITHM) ? process.env.JWT_ALGORITHM : 'HS256';
+
+// A new signing key is generated once the current one is this old
+export const JWT_KEY_ROTATION_DAYS = toInt(process.env.JWT_KEY_ROTATION_DAYS, 30);
+
+// How long a retired key keeps verifying; must exceed the access token lifetime
+export const JWT_KEY_GRACE_HOURS = toInt(process.env.JWT_KEY_GRACE_HOURS, 24);
+
+// Personal API keys
+export const API_KEY_PREFIX = 'hk_';
+export const API_KEY_MAX_PER_USER = toInt(process.env.API_KEY_MAX_PER_USER, 10);
+
+// OAuth clients: internal services calling the API as themselves (client credentials grant)
+export const OAUTH_CLIENT_ID_PREFIX = 'svc_';
+export const OAUTH_TOKEN_EXPIRES_SECONDS = toInt(process.env.OAUTH_TOKEN_EXPIRES_SECONDS, 3600);
+
+/**
+ * OpenID Connect login providers
+ * OIDC_PROVIDERS lists provider names; each one reads OIDC_<NAME>_ISSUER, OIDC_<NAME>_CLIENT_ID,
+ * OIDC_<NAME>_CLIENT_SECRET and optionally OIDC_<NAME>_SCOPES and OIDC_<NAME>_REDIRECT_URI.
+ * Providers missing an issuer or client id are ignored.
+ */
+const OIDC_REDIRECT_BASE_URL = process.env.OIDC_REDIRECT_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+export const OIDC_PROVIDERS = (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map((name) => name.trim().toLowerCase())
+  .filter(Boolean)
+  .reduce((providers, name) => {
+    const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const issuer = process.env[`${prefix}ISSUER`];
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+
+    if (!issuer || !clientId) return providers;
+
+    return {
+      ...providers,
+      [name]: {
+        name,
+        issuer,
+        clientId,
+        clientSecret: process.env[`${prefix}CLIENT_SECRET`] || '',
+        scopes: process.env[`${prefix}SCOPES`] || 'openid email profile',
+        redirectUri: process.env[`${prefix}REDIRECT_URI`] || `${OIDC_REDIRECT_BASE_URL}/api/auth/oidc/${name}/callback`
+      }
+    };
+  }, {});
+
+// Time allowed between starting a provider login and its callback
+export const OIDC_STATE_EXPIRY_MS = 10 * 60 * 1000;
+
+/**
+ * Token transport for browser clients
+ * - header: tokens are returned in JSON and sent back as Authorization: Bearer (default)
+ * - cookie: login and refresh set HttpOnly cookies instead, protected by a double-submit CSRF token
+ */
+export const AUTH_TOKEN_TRANSPORTS = ['header', 'cookie'];
+export const AUTH_TOKEN_TRANSPORT = AUTH_TOKEN_TRANSPORTS.includes(process.env.AUTH_TOKEN_TRANSPORT)
+  ? process.env.AUTH_TOKEN_TRANSPORT
+  : 'header';
+
+export const AUTH_COOKIE_NAMES = {
+  accessToken: 'access_token',
+  refreshToken: 'refresh_token',
+  csrfToken: 'csrf_token',
+  oidcState: 'oidc_state'
+};
+export const CSRF_HEADER = 'x-csrf-token';
+
+// Secure can only be turned off for local development over plain HTTP
+export const AUTH_COOKIE_SECURE = process.env.AUTH_COOKIE_SECURE !== 'false';
+export const AUTH_COOKIE_SAME_SITE = ['strict', 'lax', 'none'].includes(process.env.AUTH_COOKIE_SAME_SITE)
+  ? process.env.AUTH_COOKIE_SAME_SITE
+  : 'lax';
+export const AUTH_COOKIE_DOMAIN = process.env.AUTH_COOKIE_DOMAIN || undefined;
+
+// Audit events older than this are deleted by the prune-audit-events job
+export const AUDIT_RETENTION_DAYS = toInt(process.env.AUDIT_RETENTION_DAYS, 90);
+
+// New sign-in emails; known devices unseen for this long are forgotten by the prune-known-devices job
+export const NEW_DEVICE_NOTIFICATIONS = process.env.NEW_DEVICE_NOTIFICATIONS !== 'false';
+export const KNOWN_DEVICE_RETENTION_DAYS = toInt(process.env.KNOWN_DEVICE_RETENTION_DAYS, 180);
+
+// Soft-deleted rows (paranoid models) older than this are permanently removed by the purge-soft-deleted job
+export const SOFT_DELETE_RETENTION_DAYS = toInt(process.env.SOFT_DELETE_RETENTION_DAYS, 30);
+
+// Largest avatar image accepted by PUT /api/users/:id/avatar
+export const AVATAR_MAX_BYTES = toInt(process.env.AVATAR_MAX_SIZE_KB, 2048) * 1024;
+
+// Personal data exports: download link lifetime (presigned S3 URLs last at most 7 days) and time between requests
+export const DATA_EXPORT_LINK_EXPIRY_HOURS = Math.min(toInt(process.env.DATA_EXPORT_LINK_EXPIRY_HOURS, 24), 7 * 24);
+export const DATA_EXPORT_COOLDOWN_MS = 60 * 60 * 1000;
+
+// Right to erasure: days an erasure request can still be cancelled before the account is anonymized
+export const ERASURE_GRACE_DAYS = toInt(process.env.ERASURE_GRACE_DAYS, 30);
@@ -6,11 +6,23 @@
 export const ERROR_CODES = {
   // Authentication & Authorization
   TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  TOKEN_REVOKED: 'TOKEN_REVOKED',
   INVALID_TOKEN: 'INVALID_TOKEN',
   NO_TOKEN: 'NO_TOKEN',
   INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
   UNAUTHORIZED: 'UNAUTHORIZED',
   FORBIDDEN: 'FORBIDDEN',
+  EMAIL_NOT_VERIFIED: 'EMAIL_NOT_VERIFIED',
+  REFRESH_TOKEN_REUSED: 'REFRESH_TOKEN_REUSED',
+  INVALID_MFA_CODE: 'INVALID_MFA_CODE',
+  INVALID_CURRENT_PASSWORD: 'INVALID_CURRENT_PASSWORD',
+  PASSWORD_REUSED: 'PASSWORD_REUSED',
+  PASSWORD_EXPIRED: 'PASSWORD_EXPIRED',
+  ACCOUNT_SUSPENDED: 'ACCOUNT_SUSPENDED',
+  REGISTRATION_CLOSED: 'REGISTRATION_CLOSED',
+  INVALID_CLIENT: 'INVALID_CLIENT',
+  INVALID_SCOPE: 'INVALID_SCOPE',
+  UNSUPPORTED_GRANT_TYPE: 'UNSUPPORTED_GRANT_TYPE',
   
   // Validation
   VALIDATION_ERROR: 'VALIDATION_ERROR',
@@ -69,6 +81,41 @@ export const COMMON_ERRORS = {
     message: 'Resource already exists',
     statusCode: 409,
     code: ERROR_CODES.DUPLICATE_ENTRY
+  },
+  INVALID_MFA_CODE: {
+    message: 'Invalid verification code',
+    statusCode: 401,
+    code: ERROR_CODES.INVALID_MFA_CODE
+  },
+  EMAIL_NOT_VERIFIED: {
+    message: 'Please verify your email address to continue',
+    statusCode: 403,
+    code: ERROR_CODES.EMAIL_NOT_VERIFIED
+  },
+  INVALID_CURRENT_PASSWORD: {
+    message: 'Current password is incorrect',
+    statusCode: 400,
+    code: ERROR_CODES.INVALID_CURRENT_PASSWORD
+  },
+  PASSWORD_EXPIRED: {
+    message: 'Your password has expired. Please change it to continue',
+    statusCode: 403,
+    code: ERROR_CODES.PASSWORD_EXPIRED
+  },
+  INVALID_CLIENT: {
+    message: 'Client authentication failed',
+    statusCode: 401,
+    code: ERROR_CODES.INVALID_CLIENT
+  },
+  ACCOUNT_SUSPENDED: {
+    message: 'This account has been suspended. Please contact support',
+    statusCode: 403,
+    code: ERROR_CODES.ACCOUNT_SUSPENDED
+  },
+  REGISTRATION_CLOSED: {
+    message: 'Registration is by invitation only',
+    statusCode: 403,
+    code: ERROR_CODES.REGISTRATION_CLOSED
   }
 };
 
@@ -25,6 +25,12 @@ const options = {
           bearerFormat: 'JWT',
           description: 'Enter your JWT token',
         },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Personal API key (accepted wherever bearerAuth is)',
+        },
       },
       schemas: {
         Error: {
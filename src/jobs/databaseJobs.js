@@ -1,5 +1,11 @@
 import { registerJob } from '../services/cronService.js';
 import logger from '../config/logger.js';
+import { deleteExpiredSessions } from '../modules/auth/sessionManager.js';
+import { pruneKnownDevices as pruneDevices } from '../modules/auth/deviceManager.js';
+import { pruneAuditEvents as pruneAuditLog } from '../services/auditService.js';
+import { purgeSoftDeleted as purgeDeletedRows } from '../services/softDeleteService.js';
+import { eraseDueAccounts } from '../modules/users/privacyManager.js';
+import { AUDIT_RETENTION_DAYS, KNOWN_DEVICE_RETENTION_DAYS, SOFT_DELETE_RETENTION_DAYS } from '../config/auth.js';
 
 /**
  * Database maintenance jobs
@@ -16,4 +22,58 @@ export const databaseBackup = () => {
   );
 };
 
+export const cleanupExpiredSessions = () => {
+  registerJob(
+    'cleanup-expired-sessions',
+    '0 3 * * *', // Daily at 3 AM
+    async () => {
+      const count = await deleteExpiredSessions();
+      logger.info(`Expired sessions removed: ${count}`);
+    }
+  );
+};
+
+export const pruneAuditEvents = () => {
+  registerJob(
+    'prune-audit-events',
+    '30 3 * * *', // Daily at 3:30 AM
+    async () => {
+      const count = await pruneAuditLog(AUDIT_RETENTION_DAYS);
+      logger.info(`Audit events older than ${AUDIT_RETENTION_DAYS} days removed: ${count}`);
+    }
+  );
+};
+
+export const pruneKnownDevices = () => {
+  registerJob(
+    'prune-known-devices',
+    '45 3 * * *', // Daily at 3:45 AM
+    async () => {
+      const count = await pruneDevices(KNOWN_DEVICE_RETENTION_DAYS);
+      logger.info(`Known devices unseen for ${KNOWN_DEVICE_RETENTION_DAYS} days removed: ${count}`);
+    }
+  );
+};
+
+export const purgeSoftDeleted = () => {
+  registerJob(
+    'purge-soft-deleted',
+    '15 4 * * *', // Daily at 4:15 AM
+    async () => {
+      const counts = await purgeDeletedRows(SOFT_DELETE_RETENTION_DAYS);
+      const summary = Object.entries(counts).map(([model, count]) => `${model}: ${count}`).join(', ');
+      logger.info(`Rows soft-deleted over ${SOFT_DELETE_RETENTION_DAYS} days ago purged - ${summary}`);
+    }
+  );
+};
 
+export const processAccountErasures = () => {
+  registerJob(
+    'process-account-erasures',
+    '30 4 * * *', // Daily at 4:30 AM
+    async () => {
+      const count = await eraseDueAccounts();
+      logger.info(`Accounts past their erasure grace period anonymized: ${count}`);
+    }
+  );
+};
@@ -13,10 +13,17 @@ export const initializeJobs = () => {
 
   // Database Jobs
   databaseJobs.databaseBackup();
+  databaseJobs.cleanupExpiredSessions();
+  databaseJobs.pruneAuditEvents();
+  databaseJobs.pruneKnownDevices();
+  databaseJobs.purgeSoftDeleted();
+  databaseJobs.processAccountErasures();
 
   // System Jobs
   systemJobs.healthCheck();
   systemJobs.generateAnalytics();
+  systemJobs.pruneRevokedTokens();
+  systemJobs.rotateSigningKeys();
 
   logger.info('[CRON] All jobs initialized');
 };
@@ -1,6 +1,8 @@
 import { registerJob } from '../services/cronService.js';
 import logger from '../config/logger.js';
 import db from '../../database/models/index.js';
+import { pruneRevokedTokens as pruneRevocationStore } from '../services/tokenRevocationService.js';
+import { rotateSigningKeys as rotateJwtSigningKeys } from '../services/jwtService.js';
 
 /**
  * System monitoring and health check jobs
@@ -51,3 +53,25 @@ export const generateAnalytics = () => {
     }
   );
 };
+
+export const pruneRevokedTokens = () => {
+  registerJob(
+    'prune-revoked-tokens',
+    '*/15 * * * *', // Every 15 minutes
+    async () => {
+      const removed = await pruneRevocationStore();
+      logger.debug(`Revoked token entries pruned: ${removed}`);
+    }
+  );
+};
+
+export const rotateSigningKeys = () => {
+  registerJob(
+    'rotate-signing-keys',
+    '0 4 * * *', // Daily at 4 AM
+    async () => {
+      const { rotated, kid, removed } = await rotateJwtSigningKeys();
+      logger.info(`Signing keys checked - rotated: ${rotated}${kid ? ` (new kid: ${kid})` : ''}, expired keys removed: ${removed}`);
+    }
+  );
+};
@@ -1,35 +1,122 @@
-import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
-import { AppError, COMMON_ERRORS, catchAsync } from './errorHandler.js';
+import {
+  AppError, COMMON_ERRORS, ERROR_CODES, catchAsync
+} from './errorHandler.js';
+import { EMAIL_VERIFICATION_POLICY, AUTH_TOKEN_TRANSPORT, AUTH_COOKIE_NAMES } from '../config/auth.js';
+import { isAccessTokenRevoked } from '../services/tokenRevocationService.js';
+import { verifyAccessToken } from '../services/jwtService.js';
+import { authenticateApiKey } from '../modules/auth/apiKeyManager.js';
+import { SERVICE_PRINCIPAL } from '../modules/auth/oauthManager.js';
+import logger from '../config/logger.js';
 
 dotenv.config();
 
 const authMiddleware = catchAsync(async (req, res, next) => {
   // Get token from Authorization header
   const authHeader = req.headers.authorization;
+
+  // Personal API keys: X-API-Key header or "Authorization: ApiKey <key>"
+  const apiKey = req.headers['x-api-key'] || (authHeader && authHeader.startsWith('ApiKey ') ? authHeader.substring(7) : null);
+
+  if (apiKey) {
+    req.user = {
+      ...(await authenticateApiKey(apiKey, req.ip)),
+      principal: 'user'
+    };
+    return next();
+  }
+
+  // Cookie transport: fall back to the access token cookie (CSRF is checked by csrfProtection)
+  const cookieToken = AUTH_TOKEN_TRANSPORT === 'cookie' && req.cookies ? req.cookies[AUTH_COOKIE_NAMES.accessToken] : null;
   
-  if (!authHeader) {
-    throw new AppError('Authorization header is required', 401, true, COMMON_ERRORS.NO_TOKEN);
+  if (!authHeader && !cookieToken) {
+    throw new AppError('Authorization header is required', 401, true, ERROR_CODES.NO_TOKEN);
   }
 
-  if (!authHeader.startsWith('Bearer ')) {
-    throw new AppError('Authorization header must be in format: Bearer <token>', 401, true, COMMON_ERRORS.INVALID_TOKEN);
+  if (authHeader && !authHeader.startsWith('Bearer ')) {
+    throw new AppError('Authorization header must be in format: Bearer <token> or ApiKey <key>', 401, true, ERROR_CODES.INVALID_TOKEN);
   }
 
   // Extract token
-  const token = authHeader.substring(7);
+  const token = authHeader ? authHeader.substring(7) : cookieToken;
 
   if (!token) {
-    throw new AppError('Token is missing', 401, true, COMMON_ERRORS.NO_TOKEN);
+    throw new AppError('Token is missing', 401, true, ERROR_CODES.NO_TOKEN);
   }
 
   // Verify token
-  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const decoded = await verifyAccessToken(token);
+
+  // Only access tokens are accepted here (not refresh or pending-MFA tokens)
+  if (decoded.type) {
+    throw new AppError('Invalid token type', 401, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  // Reject tokens revoked by logout, session revocation or force sign-out
+  if (await isAccessTokenRevoked(decoded)) {
+    throw new AppError('Token has been revoked', 401, true, ERROR_CODES.TOKEN_REVOKED);
+  }
+
+  // Password past its maximum age: only routes marked with allowExpiredPassword are reachable
+  if (decoded.passwordExpired && !req.allowExpiredPassword) {
+    throw new AppError(COMMON_ERRORS.PASSWORD_EXPIRED);
+  }
   
-  // Attach user info to request
-  req.user = decoded;
+  // Impersonation: req.user is the target user, req.user.act the admin acting as them
+  if (decoded.act) {
+    const log = logger.withRequestId(req.id);
+    log.info(`[IMPERSONATION] admin ID: ${decoded.act.id} as user ID: ${decoded.id} - ${req.method} ${req.originalUrl}`);
+  }
+
+  // Attach user info to request; principal tells people apart from services (client credentials tokens)
+  req.user = {
+    ...decoded,
+    principal: decoded.principal || 'user'
+  };
   
   next();
 });
 
+// Use before authMiddleware on routes a user with an expired password still needs (change password, logout)
+export const allowExpiredPassword = (req, res, next) => {
+  req.allowExpiredPassword = true;
+  next();
+};
+
+// Use after authMiddleware on routes unverified users may not access
+export const requireVerifiedEmail = (req, res, next) => {
+  if (EMAIL_VERIFICATION_POLICY !== 'allow' && req.user && req.user.emailVerified === false) {
+    throw new AppError(COMMON_ERRORS.EMAIL_NOT_VERIFIED);
+  }
+
+  next();
+};
+
+// Use after authMiddleware on routes that act on the caller's own account; services have none
+export const requireUser = (req, res, next) => {
+  if (req.user && req.user.principal === SERVICE_PRINCIPAL) {
+    throw new AppError('This action is only available to users', 403, true, ERROR_CODES.FORBIDDEN);
+  }
+
+  next();
+};
+
+// Use after authMiddleware on routes that manage credentials; API keys and services cannot reach them
+export const requireSessionAuth = (req, res, next) => {
+  if (req.user && (req.user.apiKeyId || req.user.principal === SERVICE_PRINCIPAL)) {
+    throw new AppError('This action is not available with an API key or service token', 403, true, ERROR_CODES.FORBIDDEN);
+  }
+
+  next();
+};
+
+// Use after authMiddleware on routes an admin must not reach while impersonating (credentials, MFA, sessions)
+export const denyImpersonation = (req, res, next) => {
+  if (req.user && req.user.act) {
+    throw new AppError('This action is not available while impersonating a user', 403, true, ERROR_CODES.FORBIDDEN);
+  }
+
+  next();
+};
+
 export default authMiddleware;
@@ -0,0 +1,61 @@
+import { AppError, COMMON_ERRORS } from './errorHandler.js';
+import logger from '../config/logger.js';
+
+/**
+ * Check a single permission against the granted list
+ * Supports exact matches ('users:delete'), resource wildcards ('users:*') and full access ('*')
+ * @param {Array<string>} granted - Permissions from the token
+ * @param {string} permission - Required permission
+ * @returns {boolean}
+ */
+export const hasPermission = (granted, permission) => {
+  const [resource] = permission.split(':');
+  return granted.includes('*') || granted.includes(`${resource}:*`) || granted.includes(permission);
+};
+
+/**
+ * Authorization middleware
+ * Use after authMiddleware; requires every listed permission
+ *
+ * Example:
+ * router.delete('/:id', authorize('users:delete'), deleteUser);
+ */
+export const authorize = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      throw new AppError(COMMON_ERRORS.UNAUTHORIZED);
+    }
+
+    const granted = req.user.permissions || [];
+    const missing = permissions.filter((permission) => !hasPermission(granted, permission));
+
+    if (missing.length > 0) {
+      const log = logger.withRequestId(req.id);
+      log.warn(`Authorization failed - user ID: ${req.user.id} - missing: ${missing.join(', ')} - ${req.method} ${req.originalUrl}`);
+      throw new AppError(COMMON_ERRORS.FORBIDDEN);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Authorization middleware for /:id routes
+ * Users may act on their own record (req.params.id); anyone else needs every listed permission.
+ *
+ * Example:
+ * router.get('/:id', authorizeSelfOr('users:read'), getUserById);
+ */
+export const authorizeSelfOr = (...permissions) => {
+  const requirePermissions = authorize(...permissions);
+
+  return (req, res, next) => {
+    if (req.user && req.user.principal === 'user' && String(req.user.id) === String(req.params.id)) {
+      return next();
+    }
+
+    return requirePermissions(req, res, next);
+  };
+};
+
+export default authorize;
@@ -0,0 +1,44 @@
+import crypto from 'crypto';
+import { AppError, ERROR_CODES } from './errorHandler.js';
+import logger from '../config/logger.js';
+import { AUTH_COOKIE_NAMES, CSRF_HEADER } from '../config/auth.js';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const tokensMatch = (cookieToken, headerToken) => {
+  if (!cookieToken || !headerToken) return false;
+
+  const a = Buffer.from(cookieToken);
+  const b = Buffer.from(headerToken);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Double-submit CSRF protection for cookie-authenticated requests
+ * State-changing requests that carry an auth cookie must echo the csrf_token cookie in the
+ * X-CSRF-Token header. Requests authenticated by header (Bearer token, API key) are not
+ * exposed to CSRF and pass through, as does everything in header transport mode.
+ */
+export const csrfProtection = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const cookies = req.cookies || {};
+  const usesAuthCookie = cookies[AUTH_COOKIE_NAMES.accessToken] || cookies[AUTH_COOKIE_NAMES.refreshToken];
+  const usesAuthHeader = req.headers.authorization || req.headers['x-api-key'];
+
+  if (!usesAuthCookie || usesAuthHeader) {
+    return next();
+  }
+
+  if (!tokensMatch(cookies[AUTH_COOKIE_NAMES.csrfToken], req.headers[CSRF_HEADER])) {
+    const log = logger.withRequestId(req.id);
+    log.warn(`CSRF check failed - ${req.method} ${req.originalUrl} - IP: ${req.ip}`);
+    throw new AppError('Invalid or missing CSRF token', 403, true, ERROR_CODES.FORBIDDEN);
+  }
+
+  next();
+};
+
+export default csrfProtection;
@@ -1,4 +1,6 @@
 import { Op } from 'sequelize';
+import { hasPermission } from './authorize.js';
+import { AppError, ERROR_CODES } from './errorHandler.js';
 
 /**
  * Pagination middleware
@@ -122,3 +124,26 @@ export const filter = (allowedFields = []) => {
   };
 };
 
+/**
+ * Soft-delete visibility middleware
+ * Sets req.paranoid (false = include soft-deleted rows) for paranoid models
+ *
+ * Query params:
+ * - withDeleted: 'true' to include soft-deleted rows (requires the given permission)
+ */
+export const withDeleted = (permission) => {
+  return (req, res, next) => {
+    req.paranoid = true;
+
+    if (req.query.withDeleted !== 'true') {
+      return next();
+    }
+
+    if (!req.user || !hasPermission(req.user.permissions || [], permission)) {
+      throw new AppError(`withDeleted requires the ${permission} permission`, 403, true, ERROR_CODES.FORBIDDEN);
+    }
+
+    req.paranoid = false;
+    next();
+  };
+};
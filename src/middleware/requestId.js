@@ -5,3 +5,17 @@ export const requestIdMiddleware = (req, res, next) => {
   res.setHeader('X-Request-ID', req.id);
   next();
 };
+
+// Client details recorded on sessions and audit events; actorId is the authenticated caller
+// (the admin, not the impersonated user, for impersonation tokens)
+const getActorId = (user) => {
+  if (!user) return null;
+  return user.act ? user.act.id : user.id;
+};
+
+export const getRequestContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.headers['user-agent'],
+  requestId: req.id,
+  actorId: getActorId(req.user)
+});
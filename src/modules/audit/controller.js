@@ -0,0 +1,12 @@
+import { findAndCountAll } from './manager.js';
+import { catchAsync } from '../../middleware/errorHandler.js';
+
+export const getAuditEvents = catchAsync(async (req, res) => {
+  const { items, total } = await findAndCountAll(req.filters || {}, req.sort || {}, req.pagination || {});
+
+  res.status(200).json({
+    success: true,
+    data: items,
+    total
+  });
+});
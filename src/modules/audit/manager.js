@@ -0,0 +1,20 @@
+import db from '../../../database/models/index.js';
+
+const { AuditEvent } = db;
+
+export const findAndCountAll = async (filters = {}, sort = {}, pagination = {}) => {
+  const { limit, offset } = pagination;
+  const order = sort.field ? [[sort.field, sort.order]] : [['created_at', 'DESC']];
+
+  const { count, rows } = await AuditEvent.findAndCountAll({
+    where: filters,
+    order,
+    limit,
+    offset
+  });
+
+  return {
+    items: rows,
+    total: count
+  };
+};
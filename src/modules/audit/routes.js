@@ -0,0 +1,85 @@
+import express from 'express';
+import { getAuditEvents } from './controller.js';
+import authMiddleware from '../../middleware/authMiddleware.js';
+import { authorize } from '../../middleware/authorize.js';
+import { paginate, sort, filter } from '../../middleware/queryHelpers.js';
+
+const router = express.Router();
+
+// Audit log is admin-only
+router.use(authMiddleware, authorize('audit:read'));
+
+/**
+ * @swagger
+ * /api/audit-events:
+ *   get:
+ *     tags: [Audit]
+ *     summary: List security audit events with pagination, sorting, and filtering
+ *     description: |
+ *       **Event Types:**
+ *       - `login.success`, `login.failure`, `account.locked`, `account.unlocked`, `account.suspended`,
+ *         `account.reactivated`, `account.sign_in_reported`, `token.refresh`, `token.refresh_reused`, `logout`,
+ *         `password.change`, `password.reset`, `role.change`, `impersonation.start`, `user.created`,
+ *         `sessions.force_sign_out`, `invitation.created`, `invitation.accepted`, `invitation.revoked`,
+ *         `account.data_export_requested`, `account.erasure_requested`, `account.erasure_cancelled`, `account.erased`
+ *
+ *       **Available Filter Fields:**
+ *       - `event_type`, `actor_id`, `target_id`, `ip_address`, `request_id`, `created_at`
+ *
+ *       **Available Sort Fields:**
+ *       - `created_at`, `event_type`
+ *
+ *       **Example Routes:**
+ *       ```
+ *       GET /api/audit-events?filter[target_id]=1
+ *       GET /api/audit-events?filter[event_type][in]=login.failure,account.locked
+ *       GET /api/audit-events?filter[created_at][gte]=2026-01-01&sortBy=created_at&sortOrder=asc
+ *       ```
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [created_at, event_type]
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *       - in: query
+ *         name: filter[event_type]
+ *         schema:
+ *           type: string
+ *         example: login.failure
+ *       - in: query
+ *         name: filter[target_id]
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated list of audit events
+ *       403:
+ *         description: Missing audit:read permission
+ */
+router.get(
+  '/',
+  paginate,
+  sort(['created_at', 'event_type']),
+  filter(['event_type', 'actor_id', 'target_id', 'ip_address', 'request_id', 'created_at']),
+  getAuditEvents
+);
+
+export default router;
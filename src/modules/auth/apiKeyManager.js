@@ -0,0 +1,147 @@
+import { Op } from 'sequelize';
+import db from '../../../database/models/index.js';
+import { AppError, COMMON_ERRORS, ERROR_CODES } from '../../middleware/errorHandler.js';
+import { hasPermission } from '../../middleware/authorize.js';
+import logger from '../../config/logger.js';
+import { API_KEY_PREFIX, API_KEY_MAX_PER_USER } from '../../config/auth.js';
+import { generateRandomToken, hashToken } from '../../services/tokenService.js';
+import { getRoleClaims } from './manager.js';
+
+const { ApiKey, User } = db;
+
+const API_KEY_ATTRIBUTES = ['id', 'name', 'prefix', 'scopes', 'expires_at', 'last_used_at', 'last_used_ip', 'created_at'];
+
+// Skip the usage write when the key was used moments ago from the same address
+const USAGE_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Permissions an API key actually grants: its scopes narrowed to what the owner's roles allow
+ * Keys without scopes act with the owner's full permissions.
+ * @param {Array<string>} rolePermissions - Permissions from the owner's roles
+ * @param {Array<string>|null} scopes - Scopes stored on the key
+ * @returns {Array<string>}
+ */
+const getEffectivePermissions = (rolePermissions, scopes) => {
+  if (!scopes) return rolePermissions;
+
+  return [...new Set([
+    ...scopes.filter((scope) => hasPermission(rolePermissions, scope)),
+    ...rolePermissions.filter((permission) => hasPermission(scopes, permission))
+  ])];
+};
+
+/**
+ * Create a personal API key
+ * The plain key is only returned here; the database keeps its hash.
+ * @param {number} userId - Owner's user ID
+ * @param {Object} data - { name, scopes, expiresAt }
+ * @returns {Promise<Object>} - { apiKey, key }
+ */
+export const createApiKey = async (userId, { name, scopes = null, expiresAt = null }) => {
+  const count = await ApiKey.count({ where: { user_id: userId } });
+
+  if (count >= API_KEY_MAX_PER_USER) {
+    throw new AppError(`API key limit reached (${API_KEY_MAX_PER_USER}). Revoke an unused key first`, 400, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  const key = `${API_KEY_PREFIX}${generateRandomToken(24)}`;
+
+  const apiKey = await ApiKey.create({
+    user_id: userId,
+    name,
+    prefix: key.substring(0, API_KEY_PREFIX.length + 8),
+    key_hash: hashToken(key),
+    scopes,
+    expires_at: expiresAt
+  });
+
+  logger.info(`API key created - user ID: ${userId}, key ID: ${apiKey.id}, prefix: ${apiKey.prefix}`);
+
+  return {
+    apiKey: {
+      id: apiKey.id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      expires_at: apiKey.expires_at,
+      created_at: apiKey.created_at
+    },
+    key
+  };
+};
+
+export const listApiKeys = async (userId) => {
+  return ApiKey.findAll({
+    where: { user_id: userId },
+    order: [['created_at', 'DESC']],
+    attributes: API_KEY_ATTRIBUTES
+  });
+};
+
+export const revokeApiKey = async (userId, apiKeyId) => {
+  const deleted = await ApiKey.destroy({
+    where: {
+      id: apiKeyId,
+      user_id: userId
+    }
+  });
+
+  if (!deleted) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  logger.info(`API key revoked - user ID: ${userId}, key ID: ${apiKeyId}`);
+
+  return { success: true };
+};
+
+/**
+ * Resolve an API key to the same claims an access token carries
+ * @param {string} key - Plain API key from the request
+ * @param {string} ipAddress - Client IP, recorded as the key's last use
+ * @returns {Promise<Object>} - { id, email, emailVerified, roles, permissions, apiKeyId }
+ */
+export const authenticateApiKey = async (key, ipAddress = null) => {
+  const apiKey = key.startsWith(API_KEY_PREFIX)
+    ? await ApiKey.findOne({
+      where: {
+        key_hash: hashToken(key),
+        [Op.or]: [
+          { expires_at: null },
+          { expires_at: { [Op.gt]: new Date() } }
+        ]
+      },
+      include: [{ model: User, as: 'user' }]
+    })
+    : null;
+
+  if (!apiKey || !apiKey.user) {
+    throw new AppError('Invalid or expired API key', 401, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  const { user } = apiKey;
+
+  if (user.suspended_at) {
+    throw new AppError(COMMON_ERRORS.ACCOUNT_SUSPENDED);
+  }
+
+  const { roles, permissions } = await getRoleClaims(user);
+
+  const lastUsed = apiKey.last_used_at ? new Date(apiKey.last_used_at).getTime() : 0;
+
+  if (Date.now() - lastUsed > USAGE_UPDATE_INTERVAL_MS || apiKey.last_used_ip !== ipAddress) {
+    // Track usage (non-blocking)
+    apiKey.update({ last_used_at: new Date(), last_used_ip: ipAddress }).catch(err => {
+      logger.error(`Failed to record API key usage - key ID: ${apiKey.id}: ${err.message}`);
+    });
+  }
+
+  return {
+    id: user.id,
+    email: user.email,
+    emailVerified: Boolean(user.email_verified_at),
+    roles,
+    permissions: getEffectivePermissions(permissions, apiKey.scopes),
+    apiKeyId: apiKey.id
+  };
+};
@@ -1,6 +1,16 @@
 import * as authManager from './manager.js';
-import { catchAsync, AppError } from '../../middleware/errorHandler.js';
+import * as sessionManager from './sessionManager.js';
+import * as mfaManager from './mfaManager.js';
+import * as apiKeyManager from './apiKeyManager.js';
+import * as oauthManager from './oauthManager.js';
+import * as oidcService from '../../services/oidcService.js';
+import {
+  sendTokens, clearAuthCookies, isCookieTransport, setOidcStateCookie, consumeOidcStateCookie
+} from './tokenCookies.js';
+import { AUTH_COOKIE_NAMES } from '../../config/auth.js';
+import { catchAsync, AppError, ERROR_CODES } from '../../middleware/errorHandler.js';
 import logger from '../../config/logger.js';
+import { getRequestContext } from '../../middleware/requestId.js';
 
 export const register = catchAsync(async (req, res) => {
   const { email, password, name } = req.body;
@@ -14,16 +24,37 @@ export const register = catchAsync(async (req, res) => {
   });
 });
 
+export const acceptInvite = catchAsync(async (req, res) => {
+  const { token, name, password } = req.body;
+  const user = await authManager.acceptInvitation(token, name, password, getRequestContext(req));
+  logger.info(`New user joined by invitation: ${user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Invitation accepted. You can now sign in',
+    data: user
+  });
+});
+
 export const login = catchAsync(async (req, res) => {
   const { email, password } = req.body;
 
-  const result = await authManager.login(email, password);
+  const result = await authManager.login(email, password, getRequestContext(req));
+
+  if (result.mfaRequired) {
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: result
+    });
+  }
+
   logger.info(`User logged in: ${email}`);
 
   res.status(200).json({
     success: true,
     message: 'Login successful',
-    data: result
+    data: sendTokens(res, result)
   });
 });
 
@@ -37,28 +68,323 @@ export const verifyToken = catchAsync(async (req, res) => {
 });
 
 export const refresh = catchAsync(async (req, res) => {
-  const refreshToken = req.headers['x-refresh-token'] || req.body.refreshToken;
+  const refreshToken = req.headers['x-refresh-token']
+    || req.body.refreshToken
+    || (isCookieTransport() && req.cookies ? req.cookies[AUTH_COOKIE_NAMES.refreshToken] : undefined);
 
   if (!refreshToken) {
     throw new AppError('Refresh token is required', 400);
   }
 
-  const result = await authManager.refreshAccessToken(refreshToken);
+  const result = await authManager.refreshAccessToken(refreshToken, getRequestContext(req));
   logger.info(`Access token refreshed for user: ${result.user.email}`);
 
   res.status(200).json({
     success: true,
     message: 'Token refreshed successfully',
-    data: result
+    data: sendTokens(res, result)
   });
 });
 
 export const logout = catchAsync(async (req, res) => {
-  await authManager.logout(req.user.id);
-  logger.info(`User logged out: ${req.user.email}`);
+  const all = req.query.all === true;
+  await authManager.logout(req.user, all, getRequestContext(req));
+
+  if (isCookieTransport()) {
+    clearAuthCookies(res);
+  }
+  logger.info(`User logged out${all ? ' from all sessions' : ''}: ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: all ? 'Logged out from all sessions successfully' : 'Logged out successfully'
+  });
+});
+
+export const getSessions = catchAsync(async (req, res) => {
+  const sessions = await sessionManager.listSessions(req.user.id, req.user.sid);
+
+  res.status(200).json({
+    success: true,
+    data: sessions
+  });
+});
+
+export const deleteSession = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  await sessionManager.revokeSession(req.user.id, id);
+  logger.info(`Session revoked: ${id} - user: ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+});
+
+export const forgotPassword = catchAsync(async (req, res) => {
+  await authManager.forgotPassword(req.body.email);
+
+  res.status(200).json({
+    success: true,
+    message: 'If an account with that email exists, a password reset link has been sent'
+  });
+});
+
+export const requestMagicLink = catchAsync(async (req, res) => {
+  await authManager.requestMagicLink(req.body.email);
+
+  res.status(200).json({
+    success: true,
+    message: 'If an account with that email exists, a login link has been sent'
+  });
+});
+
+export const consumeMagicLink = catchAsync(async (req, res) => {
+  const result = await authManager.consumeMagicLink(req.body.token, getRequestContext(req));
+
+  if (result.mfaRequired) {
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: result
+    });
+  }
+
+  logger.info(`User logged in with magic link: ${result.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: sendTokens(res, result)
+  });
+});
+
+export const reportSignIn = catchAsync(async (req, res) => {
+  await authManager.reportSignIn(req.body.token, getRequestContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'All sessions have been signed out. Check your email to set a new password'
+  });
+});
+
+export const resetPassword = catchAsync(async (req, res) => {
+  const { token, password } = req.body;
+  await authManager.resetPassword(token, password, getRequestContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset successfully'
+  });
+});
+
+export const changePassword = catchAsync(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const result = await authManager.changePassword(req.user, currentPassword, newPassword, getRequestContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Password changed successfully',
+    data: { revokedSessions: result.revokedSessions }
+  });
+});
+
+// Always returned in the body: in cookie transport mode a cookie would replace the admin's own token
+export const impersonate = catchAsync(async (req, res) => {
+  const result = await authManager.impersonate(req.user, req.params.userId, getRequestContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Impersonation token issued',
+    data: result
+  });
+});
+
+export const verifyEmail = catchAsync(async (req, res) => {
+  await authManager.verifyEmail(req.query.token);
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully'
+  });
+});
+
+export const resendVerification = catchAsync(async (req, res) => {
+  await authManager.resendVerificationEmail(req.body.email);
+
+  res.status(200).json({
+    success: true,
+    message: 'If the account exists and is not yet verified, a verification email has been sent'
+  });
+});
+
+export const createApiKey = catchAsync(async (req, res) => {
+  const result = await apiKeyManager.createApiKey(req.user.id, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Copy it now - it will not be shown again',
+    data: {
+      ...result.apiKey,
+      key: result.key
+    }
+  });
+});
+
+export const getApiKeys = catchAsync(async (req, res) => {
+  const apiKeys = await apiKeyManager.listApiKeys(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: apiKeys
+  });
+});
+
+export const deleteApiKey = catchAsync(async (req, res) => {
+  await apiKeyManager.revokeApiKey(req.user.id, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'API key revoked successfully'
+  });
+});
+
+// Clients authenticate with HTTP Basic (client_secret_basic) or form fields (client_secret_post)
+const getClientCredentials = (req) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.substring(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+
+    try {
+      return {
+        clientId: decodeURIComponent(decoded.substring(0, separator)),
+        clientSecret: decodeURIComponent(decoded.substring(separator + 1))
+      };
+    } catch (error) {
+      return {};
+    }
+  }
+
+  return {
+    clientId: req.body.client_id,
+    clientSecret: req.body.client_secret
+  };
+};
+
+// OAuth endpoints answer with RFC 6749 error objects instead of the usual response envelope
+const OAUTH_ERROR_NAMES = {
+  [ERROR_CODES.INVALID_CLIENT]: 'invalid_client',
+  [ERROR_CODES.INVALID_SCOPE]: 'invalid_scope',
+  [ERROR_CODES.UNSUPPORTED_GRANT_TYPE]: 'unsupported_grant_type'
+};
+
+const oauthEndpoint = (handler) => catchAsync(async (req, res) => {
+  res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
+
+  try {
+    res.status(200).json(await handler(req));
+  } catch (error) {
+    if (!(error instanceof AppError) || !error.isOperational) throw error;
+
+    if (error.code === ERROR_CODES.INVALID_CLIENT && req.headers.authorization) {
+      res.set('WWW-Authenticate', 'Basic realm="api"');
+    }
+
+    logger.withRequestId(req.id).warn(`${error.statusCode} - ${error.message} - ${req.originalUrl} - ${req.method}`);
+
+    res.status(error.statusCode).json({
+      error: OAUTH_ERROR_NAMES[error.code] || 'invalid_request',
+      error_description: error.message
+    });
+  }
+});
+
+export const token = oauthEndpoint((req) => oauthManager.issueClientToken(getClientCredentials(req), req.body));
+
+export const introspect = oauthEndpoint((req) => oauthManager.introspectToken(getClientCredentials(req), req.body.token));
+
+export const verifyMfa = catchAsync(async (req, res) => {
+  const { mfaToken, code } = req.body;
+  const result = await authManager.verifyMfaLogin(mfaToken, code, getRequestContext(req));
+  logger.info(`User logged in with MFA: ${result.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: sendTokens(res, result)
+  });
+});
+
+export const getOidcProviders = catchAsync(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: oidcService.listProviders()
+  });
+});
+
+export const startOidcLogin = catchAsync(async (req, res) => {
+  const { authorizationUrl, stateId } = await oidcService.buildAuthorizationUrl(req.params.provider);
+
+  setOidcStateCookie(res, stateId);
+  res.redirect(302, authorizationUrl);
+});
+
+export const oidcCallback = catchAsync(async (req, res) => {
+  const { provider } = req.params;
+  const { code, state, error } = req.query;
+  const stateId = consumeOidcStateCookie(req, res);
+
+  if (error) {
+    logger.warn(`OIDC login cancelled or denied - provider: ${provider}, error: ${error}`);
+    throw new AppError(`Login with ${provider} failed: ${req.query.error_description || error}`, 400);
+  }
+
+  const result = await authManager.loginWithOidc(provider, code, state, stateId, getRequestContext(req));
+
+  if (result.mfaRequired) {
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: result
+    });
+  }
+
+  logger.info(`User logged in with ${provider}: ${result.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: sendTokens(res, result)
+  });
+});
+
+export const enrollMfa = catchAsync(async (req, res) => {
+  const result = await mfaManager.enroll(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: result
+  });
+});
+
+export const confirmMfa = catchAsync(async (req, res) => {
+  const result = await mfaManager.confirmEnrollment(req.user.id, req.body.code);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again',
+    data: result
+  });
+});
+
+export const disableMfa = catchAsync(async (req, res) => {
+  await mfaManager.disable(req.user.id, req.body.code);
 
   res.status(200).json({
     success: true,
-    message: 'Logged out successfully'
+    message: 'Two-factor authentication disabled'
   });
 });
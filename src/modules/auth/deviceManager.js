@@ -0,0 +1,111 @@
+import { Op } from 'sequelize';
+import db from '../../../database/models/index.js';
+import logger from '../../config/logger.js';
+import emailService from '../../services/emailService.js';
+import { NEW_DEVICE_NOTIFICATIONS, NEW_DEVICE_REPORT_EXPIRY_MS } from '../../config/auth.js';
+import { generateRandomToken, hashToken } from '../../services/tokenService.js';
+import { parseDevice } from './sessionManager.js';
+
+const { KnownDevice, User } = db;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A device is an IP address + user agent pair; either changing counts as a new device
+const getFingerprint = (context) => hashToken(`${context.ipAddress || ''}|${context.userAgent || ''}`);
+
+/**
+ * Remember the device a user just signed in from, emailing them when it is new
+ * The first device an account ever uses is recorded silently. Runs after the session is
+ * created, so callers don't await it and only log failures.
+ * @param {Object} user - User instance
+ * @param {Object} context - Request context ({ ipAddress, userAgent })
+ * @returns {Promise<boolean>} - true when the device was new
+ */
+export const recordSignInDevice = async (user, context = {}) => {
+  const fingerprint = getFingerprint(context);
+  const now = new Date();
+
+  const [knownDevice, previousCount] = await Promise.all([
+    KnownDevice.findOne({ where: { user_id: user.id, fingerprint } }),
+    KnownDevice.count({ where: { user_id: user.id } })
+  ]);
+
+  if (knownDevice) {
+    await knownDevice.update({ last_seen_at: now });
+    return false;
+  }
+
+  const notify = NEW_DEVICE_NOTIFICATIONS && previousCount > 0;
+  const reportToken = notify ? generateRandomToken() : null;
+
+  const device = await KnownDevice.create({
+    user_id: user.id,
+    fingerprint,
+    device: parseDevice(context.userAgent),
+    user_agent: context.userAgent ? context.userAgent.substring(0, 512) : null,
+    ip_address: context.ipAddress || null,
+    last_seen_at: now,
+    report_token_hash: reportToken ? hashToken(reportToken) : null,
+    report_expires_at: reportToken ? new Date(now.getTime() + NEW_DEVICE_REPORT_EXPIRY_MS) : null
+  });
+
+  logger.info(`New sign-in device - user ID: ${user.id}, device: ${device.device}, IP: ${device.ip_address}`);
+
+  if (notify) {
+    // Send new sign-in email (non-blocking)
+    emailService.sendNewSignInEmail(user, {
+      signedInAt: now,
+      device: device.device || 'Unknown device',
+      ipAddress: device.ip_address
+    }, reportToken, Math.round(NEW_DEVICE_REPORT_EXPIRY_MS / DAY_MS)).catch(err => {
+      logger.error(`Failed to send new sign-in email to ${user.email}: ${err.message}`);
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Consume a "this wasn't me" token from a new sign-in email
+ * The reported device is forgotten so signing in from it again triggers another email.
+ * @param {string} token - Plain report token
+ * @returns {Promise<Object|null>} - { user, device } or null when the token is invalid or expired
+ */
+export const consumeSignInReport = async (token) => {
+  const device = await KnownDevice.findOne({
+    where: {
+      report_token_hash: hashToken(token),
+      report_expires_at: { [Op.gt]: new Date() }
+    },
+    include: [{ model: User, as: 'user' }]
+  });
+
+  if (!device || !device.user) return null;
+
+  // Conditional delete so the same link can't be processed twice concurrently
+  const deleted = await KnownDevice.destroy({ where: { id: device.id } });
+
+  if (!deleted) return null;
+
+  return {
+    user: device.user,
+    device: {
+      device: device.device,
+      ip_address: device.ip_address,
+      created_at: device.created_at
+    }
+  };
+};
+
+/**
+ * Forget devices that haven't signed in for a while
+ * @param {number} retentionDays - Keep devices seen within this many days
+ * @returns {Promise<number>} - Number of devices removed
+ */
+export const pruneKnownDevices = async (retentionDays) => {
+  return KnownDevice.destroy({
+    where: {
+      last_seen_at: { [Op.lt]: new Date(Date.now() - retentionDays * DAY_MS) }
+    }
+  });
+};
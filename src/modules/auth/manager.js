@@ -1,136 +1,537 @@
 import bcrypt from 'bcrypt';
-import crypto from 'crypto';
+import { randomUUID } from 'crypto';
 import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
+import { Op } from 'sequelize';
 import db from '../../../database/models/index.js';
-import { AppError } from '../../middleware/errorHandler.js';
+import { AppError, ERROR_CODES, COMMON_ERRORS } from '../../middleware/errorHandler.js';
 import logger from '../../config/logger.js';
+import { hasPermission } from '../../middleware/authorize.js';
+import {
+  PASSWORD_RESET_EXPIRY_MS,
+  MAGIC_LINK_EXPIRY_MS,
+  EMAIL_VERIFICATION_EXPIRY_MS,
+  EMAIL_VERIFICATION_RESEND_COOLDOWN_MS,
+  EMAIL_VERIFICATION_POLICY,
+  DEFAULT_ROLE,
+  OPEN_REGISTRATION,
+  LOCKOUT_POLICY,
+  MFA_TOKEN_EXPIRES_IN,
+  IMPERSONATION_TOKEN_EXPIRES_IN
+} from '../../config/auth.js';
 import emailService from '../../services/emailService.js';
+import { generateRandomToken, hashToken } from '../../services/tokenService.js';
+import { revokeAccessToken } from '../../services/tokenRevocationService.js';
+import { signAccessToken, verifyAccessToken } from '../../services/jwtService.js';
+import {
+  createSession, findActiveSession, rotateSession, revokeSession, revokeAllSessions
+} from './sessionManager.js';
+import { verifyMfaCode } from './mfaManager.js';
+import { recordSignInDevice, consumeSignInReport } from './deviceManager.js';
+import { findPendingInvitation, markInvitationAccepted, linkAcceptedUser } from '../invitations/manager.js';
+import { exchangeCode } from '../../services/oidcService.js';
+import { hashNewPassword, setPassword, isPasswordExpired } from '../../services/passwordPolicyService.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../../services/auditService.js';
 
-const { User } = db;
+const { User, Role, UserIdentity, ApiKey } = db;
 dotenv.config();
 
+// Role names and the union of their permissions, embedded in access tokens
+export const getRoleClaims = async (user) => {
+  const roles = await user.getRoles();
+
+  return {
+    roles: roles.map((role) => role.name),
+    permissions: [...new Set(roles.flatMap((role) => role.permissions || []))]
+  };
+};
+
+const generateAccessToken = async (user, sessionId) => {
+  const { roles, permissions } = await getRoleClaims(user);
+
+  const accessToken = await signAccessToken(
+    {
+      id: user.id,
+      email: user.email,
+      sid: sessionId,
+      emailVerified: Boolean(user.email_verified_at),
+      roles,
+      permissions,
+      // Only change-password and logout accept a token with this flag (see allowExpiredPassword)
+      ...(isPasswordExpired(user) && { passwordExpired: true })
+    },
+    {
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+      jwtid: randomUUID()
+    }
+  );
+
+  return { accessToken, roles };
+};
+
+const generateMfaToken = (user) => jwt.sign(
+  {
+    id: user.id,
+    type: 'mfa_pending'
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: MFA_TOKEN_EXPIRES_IN }
+);
+
+const assertNotLocked = (user) => {
+  if (user.account_locked_until && new Date() < new Date(user.account_locked_until)) {
+    const lockTimeRemaining = Math.ceil((new Date(user.account_locked_until) - new Date()) / 1000 / 60);
+    logger.warn(`Login failed: Account locked - ${user.email}`);
+    throw new AppError(`Account is locked. Try again in ${lockTimeRemaining} minutes`, 423);
+  }
+};
+
+// Checked only after the credentials, so the response doesn't reveal suspension to anyone else
+const assertNotSuspended = (user) => {
+  if (user.suspended_at) {
+    logger.warn(`Login failed: Account suspended - ${user.email}`);
+    throw new AppError(COMMON_ERRORS.ACCOUNT_SUSPENDED);
+  }
+};
+
+// Lock duration for the nth consecutive lockout; doubles each time with progressive backoff
+const getLockoutMinutes = (lockoutCount) => {
+  if (!LOCKOUT_POLICY.progressive) return LOCKOUT_POLICY.durationMinutes;
+
+  return Math.min(
+    LOCKOUT_POLICY.durationMinutes * 2 ** (lockoutCount - 1),
+    LOCKOUT_POLICY.maxDurationMinutes
+  );
+};
+
+// Count a failed credential check (password or MFA code) and lock the account at the limit; always throws
+const registerFailedAttempt = async (user, reason, context = {}, failure = COMMON_ERRORS.INVALID_CREDENTIALS) => {
+  // An expired lock starts a new count; only lockout_count carries over to lengthen the next lock
+  const lockExpired = Boolean(user.account_locked_until) && new Date() >= new Date(user.account_locked_until);
+  const failedAttempts = (lockExpired ? 0 : (user.failed_login_attempts || 0)) + 1;
+
+  recordAuditEvent(AUDIT_EVENTS.LOGIN_FAILURE, {
+    actorId: user.id,
+    targetId: user.id,
+    context,
+    metadata: { reason, attempt: failedAttempts }
+  });
+
+  // A limit of 0 disables lockout
+  if (LOCKOUT_POLICY.maxAttempts > 0 && failedAttempts >= LOCKOUT_POLICY.maxAttempts) {
+    const lockoutCount = (user.lockout_count || 0) + 1;
+    const lockMinutes = getLockoutMinutes(lockoutCount);
+
+    await user.update({
+      failed_login_attempts: failedAttempts,
+      lockout_count: lockoutCount,
+      account_locked_until: new Date(Date.now() + lockMinutes * 60 * 1000)
+    });
+    logger.warn(`Account locked due to failed attempts - ${user.email} (lockout ${lockoutCount}, ${lockMinutes} minutes)`);
+    recordAuditEvent(AUDIT_EVENTS.ACCOUNT_LOCKED, {
+      actorId: user.id,
+      targetId: user.id,
+      context,
+      metadata: { lockoutCount, minutes: lockMinutes }
+    });
+    throw new AppError(`Account locked due to too many failed attempts. Try again in ${lockMinutes} minutes`, 423);
+  }
+
+  await user.update({
+    failed_login_attempts: failedAttempts,
+    ...(lockExpired && { account_locked_until: null })
+  });
+  logger.warn(`Login failed: ${reason} - ${user.email} (attempt ${failedAttempts}/${LOCKOUT_POLICY.maxAttempts})`);
+  throw new AppError(failure);
+};
+
+// Final step of every successful sign-in: clear lockout, start a session and issue tokens
+const completeLogin = async (user, context, method = 'password') => {
+  assertNotSuspended(user);
+
+  await user.update({
+    failed_login_attempts: 0,
+    lockout_count: 0,
+    account_locked_until: null
+  });
+
+  // Each login gets its own session so other devices stay signed in
+  const { session, refreshToken } = await createSession(user, context);
+  const { accessToken, roles } = await generateAccessToken(user, session.id);
+
+  logger.info(`Login successful - user ID: ${user.id}, email: ${user.email}, session: ${session.id}`);
+  recordAuditEvent(AUDIT_EVENTS.LOGIN_SUCCESS, {
+    actorId: user.id,
+    targetId: user.id,
+    context,
+    metadata: { method, sessionId: session.id }
+  });
+
+  // Remember the device and email the user when it is new (non-blocking)
+  recordSignInDevice(user, context).catch(err => {
+    logger.error(`Failed to record sign-in device - user ID: ${user.id}: ${err.message}`);
+  });
+
+  return {
+    accessToken,
+    refreshToken,
+    // Expired passwords must be changed before the access token works anywhere else
+    ...(isPasswordExpired(user) && { passwordChangeRequired: true }),
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      email_verified: Boolean(user.email_verified_at),
+      roles
+    }
+  };
+};
+
+// Give a new account the configured default role; returns the role or null when it doesn't exist
+const assignDefaultRole = async (user) => {
+  const defaultRole = await Role.findOne({ where: { name: DEFAULT_ROLE } });
+
+  if (defaultRole) {
+    await user.addRole(defaultRole);
+  } else {
+    logger.warn(`Default role "${DEFAULT_ROLE}" not found - user ID: ${user.id} has no roles`);
+  }
+
+  return defaultRole;
+};
+
+// Store a fresh password reset token (replacing any previous one) and email the link
+const issuePasswordResetToken = async (user, fields = {}) => {
+  const resetToken = generateRandomToken();
+
+  // Only the hash is stored
+  await user.update({
+    ...fields,
+    password_reset_token: hashToken(resetToken),
+    password_reset_expires: new Date(Date.now() + PASSWORD_RESET_EXPIRY_MS)
+  });
+
+  // Send reset email (non-blocking)
+  emailService.sendPasswordResetEmail(user, resetToken).catch(err => {
+    logger.error(`Failed to send password reset email to ${user.email}: ${err.message}`);
+  });
+};
+
+// Store a fresh verification token (replacing any previous one) and email the link
+export const issueVerificationToken = async (user) => {
+  const verificationToken = generateRandomToken();
+
+  await user.update({
+    email_verification_token: hashToken(verificationToken),
+    email_verification_sent_at: new Date()
+  });
+
+  // Send verification email (non-blocking)
+  emailService.sendVerificationEmail(user, verificationToken).catch(err => {
+    logger.error(`Failed to send verification email to ${user.email}: ${err.message}`);
+  });
+};
+
 export const register = async (email, password, name) => {
   logger.info(`Registration attempt - email: ${email}, name: ${name}`);
+
+  if (!OPEN_REGISTRATION) {
+    logger.warn(`Registration refused: Invitation only - ${email}`);
+    throw new AppError(COMMON_ERRORS.REGISTRATION_CLOSED);
+  }
   
-  // Check if user already exists
-  const existingUser = await User.findOne({ where: { email } });
+  // Check if user already exists (soft-deleted accounts keep their email until purged)
+  const existingUser = await User.findOne({ where: { email }, paranoid: false });
 
   if (existingUser) {
     logger.warn(`Registration failed: User already exists - ${email}`);
     throw new AppError('User already exists', 409);
   }
 
-  // Hash password with 12 rounds (per coding standards)
-  const hashedPassword = await bcrypt.hash(password, 12);
-
-  // Create user
+  // Create user (password rules were enforced by passwordSchema)
   const user = await User.create({
     email,
-    password: hashedPassword,
+    ...(await hashNewPassword(password)),
     name
   });
 
+  const defaultRole = await assignDefaultRole(user);
+
+  await issueVerificationToken(user);
+
+  logger.info(`Registration successful - user ID: ${user.id}, email: ${user.email}`);
+
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    email_verified: false,
+    roles: defaultRole ? [defaultRole.name] : []
+  };
+};
+
+/**
+ * Create an account from an invitation (works while open registration is off)
+ * The email comes from the invitation and counts as verified, since the link reached that inbox.
+ * @param {string} token - Plain token from the invitation email
+ * @param {string} name - Display name
+ * @param {string} password - Plain password (already validated by passwordSchema)
+ * @param {Object} context - Request context, recorded in the audit log
+ * @returns {Promise<Object>} - Created user with role names
+ */
+export const acceptInvitation = async (token, name, password, context = {}) => {
+  const invitation = await findPendingInvitation(token);
+
+  if (!invitation) {
+    logger.warn('Invitation acceptance failed: Invalid or expired token');
+    throw new AppError('Invalid or expired invitation', 400, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  // Soft-deleted accounts keep their email until purged
+  const existingUser = await User.findOne({ where: { email: invitation.email }, paranoid: false });
+
+  if (existingUser) {
+    throw new AppError('An account with this email already exists', 409, true, ERROR_CODES.DUPLICATE_ENTRY);
+  }
+
+  if (!(await markInvitationAccepted(invitation))) {
+    throw new AppError('Invalid or expired invitation', 400, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  const user = await User.create({
+    email: invitation.email,
+    ...(await hashNewPassword(password)),
+    name,
+    email_verified_at: new Date()
+  });
+
+  // The invitation's role may have been deleted since it was sent
+  let { role } = invitation;
+
+  if (role) {
+    await user.addRole(role);
+  } else {
+    role = await assignDefaultRole(user);
+  }
+
+  await linkAcceptedUser(invitation, user.id);
+
+  logger.info(`Invitation accepted - ID: ${invitation.id}, user ID: ${user.id}, email: ${user.email}`);
+  recordAuditEvent(AUDIT_EVENTS.INVITATION_ACCEPTED, {
+    actorId: user.id,
+    targetId: user.id,
+    context,
+    metadata: { invitationId: invitation.id, role: role ? role.name : null }
+  });
+
   // Send welcome email (non-blocking)
   emailService.sendWelcomeEmail(user).catch(err => {
     logger.error(`Failed to send welcome email to ${user.email}: ${err.message}`);
   });
 
-  logger.info(`Registration successful - user ID: ${user.id}, email: ${user.email}`);
-
   return {
     id: user.id,
     email: user.email,
-    name: user.name
+    name: user.name,
+    email_verified: true,
+    roles: role ? [role.name] : []
   };
 };
 
-export const login = async (email, password) => {
+export const login = async (email, password, context = {}) => {
   logger.info(`Login attempt - email: ${email}`);
   
   const user = await User.findOne({ where: { email } });
 
   if (!user) {
     logger.warn(`Login failed: User not found - email: ${email}`);
+    recordAuditEvent(AUDIT_EVENTS.LOGIN_FAILURE, {
+      actorId: null,
+      context,
+      metadata: { reason: 'User not found', email }
+    });
     throw new AppError('Invalid credentials', 401);
   }
 
-  // Check if account is locked
-  if (user.account_locked_until && new Date() < new Date(user.account_locked_until)) {
-    const lockTimeRemaining = Math.ceil((new Date(user.account_locked_until) - new Date()) / 1000 / 60);
-    logger.warn(`Login failed: Account locked - ${email}`);
-    throw new AppError(`Account is locked. Try again in ${lockTimeRemaining} minutes`, 423);
-  }
+  assertNotLocked(user);
 
-  const isValidPassword = await bcrypt.compare(password, user.password);
+  // Accounts created through a login provider have no password until one is set via reset
+  const isValidPassword = user.password ? await bcrypt.compare(password, user.password) : false;
 
   if (!isValidPassword) {
-    // Increment failed attempts
-    const failedAttempts = (user.failed_login_attempts || 0) + 1;
-    
-    if (failedAttempts >= 5) {
-      // Lock account for 15 minutes after 5 failed attempts
-      const lockUntil = new Date(Date.now() + 15 * 60 * 1000);
-      await user.update({ 
-        failed_login_attempts: failedAttempts,
-        account_locked_until: lockUntil
+    await registerFailedAttempt(user, user.password ? 'Invalid password' : 'No password set', context);
+  }
+
+  assertNotSuspended(user);
+
+  if (!user.email_verified_at && EMAIL_VERIFICATION_POLICY === 'reject') {
+    logger.warn(`Login failed: Email not verified - ${email}`);
+    throw new AppError(COMMON_ERRORS.EMAIL_NOT_VERIFIED);
+  }
+
+  // Second factor required: failed attempts are only reset once the code is verified
+  if (user.mfa_enabled_at) {
+    logger.info(`Login pending MFA - user ID: ${user.id}, email: ${user.email}`);
+    return {
+      mfaRequired: true,
+      mfaToken: generateMfaToken(user)
+    };
+  }
+
+  return completeLogin(user, context);
+};
+
+export const verifyMfaLogin = async (mfaToken, code, context = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError('Invalid or expired MFA token', 401, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  if (decoded.type !== 'mfa_pending') {
+    throw new AppError('Invalid token type', 401, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  const user = await User.findByPk(decoded.id);
+
+  if (!user || !user.mfa_enabled_at) {
+    throw new AppError('Invalid or expired MFA token', 401, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  assertNotLocked(user);
+
+  const isValidCode = await verifyMfaCode(user, code);
+
+  if (!isValidCode) {
+    await registerFailedAttempt(user, 'Invalid MFA code', context, COMMON_ERRORS.INVALID_MFA_CODE);
+  }
+
+  return completeLogin(user, context, 'mfa');
+};
+
+// Soft-deleted accounts can't sign in through a provider (and can't get a second user or identity)
+const assertOidcUserNotDeleted = (user, provider) => {
+  if (user && user.deleted_at) {
+    logger.warn(`OIDC login refused: Account is deleted - provider: ${provider}, user ID: ${user.id}`);
+    throw new AppError('This account has been deleted', 403, true, ERROR_CODES.FORBIDDEN);
+  }
+};
+
+/**
+ * Find or create the local user for a provider identity
+ * Links by email when the provider has verified it; an unverified local account with the
+ * same email loses its password, since nobody proved they own that address.
+ */
+const resolveOidcUser = async (identity) => {
+  const { provider, subject, email } = identity;
+
+  // Soft-deleted accounts keep their identities and email until purged
+  const existingIdentity = await UserIdentity.findOne({
+    where: { provider, subject },
+    include: [{ model: User, as: 'user', paranoid: false }]
+  });
+
+  assertOidcUserNotDeleted(existingIdentity && existingIdentity.user, provider);
+
+  if (existingIdentity && existingIdentity.user) {
+    await existingIdentity.update({ email, last_login_at: new Date() });
+    return existingIdentity.user;
+  }
+
+  if (!email) {
+    throw new AppError('Login provider did not return an email address', 400, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  let user = await User.findOne({ where: { email }, paranoid: false });
+
+  assertOidcUserNotDeleted(user, provider);
+
+  if (user && !identity.emailVerified) {
+    logger.warn(`OIDC login refused: Unverified provider email matches an existing account - provider: ${provider}, email: ${email}`);
+    throw new AppError('An account with this email already exists. Sign in with your password instead', 409, true, ERROR_CODES.DUPLICATE_ENTRY);
+  }
+
+  if (user) {
+    if (!user.email_verified_at) {
+      logger.warn(`[SECURITY] Linking provider to unverified account - clearing password and sessions - user ID: ${user.id}`);
+      await user.update({
+        password: null,
+        email_verified_at: new Date(),
+        email_verification_token: null
       });
-      logger.warn(`Account locked due to failed attempts - ${email}`);
-      throw new AppError('Account locked due to too many failed attempts. Try again in 15 minutes', 423);
+      await revokeAllSessions(user.id);
     }
-    
-    await user.update({ failed_login_attempts: failedAttempts });
-    logger.warn(`Login failed: Invalid password - ${email} (attempt ${failedAttempts}/5)`);
-    throw new AppError('Invalid credentials', 401);
+  } else {
+    if (!OPEN_REGISTRATION) {
+      logger.warn(`OIDC login refused: No account and registration is invitation only - provider: ${provider}, email: ${email}`);
+      throw new AppError(COMMON_ERRORS.REGISTRATION_CLOSED);
+    }
+
+    user = await User.create({
+      email,
+      password: null,
+      name: (identity.name || email.split('@')[0]).substring(0, 255),
+      email_verified_at: identity.emailVerified ? new Date() : null
+    });
+
+    await assignDefaultRole(user);
+
+    if (identity.emailVerified) {
+      // Send welcome email (non-blocking)
+      emailService.sendWelcomeEmail(user).catch(err => {
+        logger.error(`Failed to send welcome email to ${user.email}: ${err.message}`);
+      });
+    } else {
+      await issueVerificationToken(user);
+    }
+
+    logger.info(`User created from login provider - user ID: ${user.id}, provider: ${provider}`);
   }
 
-  // Reset failed attempts on successful login
-  await user.update({ 
-    failed_login_attempts: 0,
-    account_locked_until: null
+  await UserIdentity.create({
+    user_id: user.id,
+    provider,
+    subject,
+    email,
+    last_login_at: new Date()
   });
 
-  const accessToken = jwt.sign(
-    { 
-      id: user.id, 
-      email: user.email 
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
-  );
+  logger.info(`Login provider linked - user ID: ${user.id}, provider: ${provider}`);
 
-  const refreshToken = jwt.sign(
-    { 
-      id: user.id, 
-      email: user.email,
-      type: 'refresh'
-    },
-    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-  );
+  return user;
+};
 
-  // Hash refresh token before storing (security best practice)
-  const hashedRefreshToken = crypto
-    .createHash('sha256')
-    .update(refreshToken)
-    .digest('hex');
+/**
+ * Complete a provider login from its callback
+ * @param {string} providerName - Provider key
+ * @param {string} code - Authorization code
+ * @param {string} state - State issued with the authorization URL
+ * @param {Object} context - Request context ({ ipAddress, userAgent })
+ * @returns {Promise<Object>} - Same result as login()
+ */
+export const loginWithOidc = async (providerName, code, state, stateId, context = {}) => {
+  const identity = await exchangeCode(providerName, code, state, stateId);
+  const user = await resolveOidcUser(identity);
 
-  await user.update({ refresh_token: hashedRefreshToken });
+  if (!user.email_verified_at && EMAIL_VERIFICATION_POLICY === 'reject') {
+    logger.warn(`OIDC login failed: Email not verified - ${user.email}`);
+    throw new AppError(COMMON_ERRORS.EMAIL_NOT_VERIFIED);
+  }
 
-  logger.info(`Login successful - user ID: ${user.id}, email: ${user.email}`);
+  // Local 2FA still applies to provider logins
+  if (user.mfa_enabled_at) {
+    logger.info(`OIDC login pending MFA - user ID: ${user.id}, provider: ${providerName}`);
+    return {
+      mfaRequired: true,
+      mfaToken: generateMfaToken(user)
+    };
+  }
 
-  return {
-    accessToken,
-    refreshToken,
-    user: {
-      id: user.id,
-      email: user.email,
-      name: user.name
-    }
-  };
+  return completeLogin(user, context, `oidc:${providerName}`);
 };
 
-export const refreshAccessToken = async (refreshToken) => {
+export const refreshAccessToken = async (refreshToken, context = {}) => {
   try {
     const decoded = jwt.verify(
       refreshToken, 
@@ -142,32 +543,50 @@ export const refreshAccessToken = async (refreshToken) => {
     }
 
     const user = await User.findByPk(decoded.id);
-    
-    // Hash the provided token and compare with stored hash
-    const hashedToken = crypto
-      .createHash('sha256')
-      .update(refreshToken)
-      .digest('hex');
-    
-    if (!user || user.refresh_token !== hashedToken) {
+    const session = user ? await findActiveSession(user.id, decoded.sid) : null;
+
+    if (!session) {
       throw new AppError('Invalid refresh token', 401);
     }
 
-    const newAccessToken = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
-    );
+    // Every refresh token is single-use: a correctly signed token for a live session
+    // that no longer matches the stored hash was already rotated, i.e. replayed
+    const newRefreshToken = session.refresh_token_hash === hashToken(refreshToken)
+      ? await rotateSession(session, user, refreshToken, context)
+      : null;
+
+    if (!newRefreshToken) {
+      await revokeSession(user.id, session.id);
+      logger.warn(
+        `[SECURITY] Refresh token reuse detected - user ID: ${user.id}, session: ${session.id}, `
+        + `ip: ${context.ipAddress || 'unknown'}, user agent: ${context.userAgent || 'unknown'} - session revoked`
+      );
+      recordAuditEvent(AUDIT_EVENTS.REFRESH_TOKEN_REUSED, {
+        actorId: user.id,
+        targetId: user.id,
+        context,
+        metadata: { sessionId: session.id }
+      });
+      throw new AppError('Refresh token has already been used', 401, true, ERROR_CODES.REFRESH_TOKEN_REUSED);
+    }
+
+    const { accessToken: newAccessToken, roles } = await generateAccessToken(user, session.id);
+    recordAuditEvent(AUDIT_EVENTS.TOKEN_REFRESH, {
+      actorId: user.id,
+      targetId: user.id,
+      context,
+      metadata: { sessionId: session.id }
+    });
 
     return {
       accessToken: newAccessToken,
+      refreshToken: newRefreshToken,
       user: {
         id: user.id,
         email: user.email,
-        name: user.name
+        name: user.name,
+        email_verified: Boolean(user.email_verified_at),
+        roles
       }
     };
   } catch (error) {
@@ -176,19 +595,472 @@ export const refreshAccessToken = async (refreshToken) => {
   }
 };
 
-export const logout = async (userId) => {
-  // Remove refresh token from database
-  await User.update(
-    { refresh_token: null },
-    { where: { id: userId } }
-  );
+/**
+ * End the current session (or all of them) and revoke the access token used for the request
+ * @param {Object} claims - Decoded access token (req.user)
+ * @param {boolean} all - End every session for the user
+ * @param {Object} context - Request context, recorded in the audit log
+ */
+export const logout = async (claims, all = false, context = {}) => {
+  const { id: userId, sid: sessionId, jti, exp } = claims;
+
+  await revokeAccessToken(jti, exp * 1000);
+
+  recordAuditEvent(AUDIT_EVENTS.LOGOUT, {
+    targetId: userId,
+    context,
+    metadata: { all, sessionId: sessionId || null, ...(claims.act && { impersonation: true }) }
+  });
+
+  // Impersonation tokens borrow the admin's session; ending one must not touch either user's sessions
+  if (claims.act) {
+    logger.info(`Impersonation ended - admin ID: ${claims.act.id}, user ID: ${userId}`);
+    return { success: true };
+  }
+
+  // Tokens issued before sessions existed carry no sid, so end everything for them
+  if (all || !sessionId) {
+    const count = await revokeAllSessions(userId);
+    logger.info(`All sessions ended - user ID: ${userId}, count: ${count}`);
+    return { success: true };
+  }
+
+  try {
+    await revokeSession(userId, sessionId);
+  } catch (error) {
+    if (!(error instanceof AppError)) throw error;
+    logger.warn(`Logout: session already ended - user ID: ${userId}, session: ${sessionId}`);
+  }
   
   return { success: true };
 };
 
+/**
+ * Issue a short-lived access token that lets an admin act as another user
+ * The token carries the target's claims plus an `act` claim naming the admin. It is bound
+ * to the admin's session (sid), so signing out there ends the impersonation too, and no
+ * refresh token is issued.
+ * @param {Object} actorClaims - Decoded access token of the admin (req.user)
+ * @param {number} targetUserId - User to impersonate
+ * @param {Object} context - Request context, recorded in the audit log
+ * @returns {Promise<Object>} - { accessToken, expiresIn, user }
+ */
+export const impersonate = async (actorClaims, targetUserId, context = {}) => {
+  if (actorClaims.act) {
+    throw new AppError('Cannot start an impersonation from an impersonated session', 403, true, ERROR_CODES.FORBIDDEN);
+  }
+
+  if (actorClaims.id === targetUserId) {
+    throw new AppError('You cannot impersonate yourself', 400, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  const user = await User.findByPk(targetUserId);
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  const { roles, permissions } = await getRoleClaims(user);
+
+  // Admins who can impersonate cannot be impersonated, so the feature never escalates privileges
+  if (hasPermission(permissions, 'users:impersonate')) {
+    logger.warn(`[SECURITY] Impersonation refused: target can impersonate - admin ID: ${actorClaims.id}, user ID: ${user.id}`);
+    throw new AppError('This user cannot be impersonated', 403, true, ERROR_CODES.FORBIDDEN);
+  }
+
+  const accessToken = await signAccessToken(
+    {
+      id: user.id,
+      email: user.email,
+      sid: actorClaims.sid,
+      emailVerified: Boolean(user.email_verified_at),
+      roles,
+      permissions,
+      act: {
+        id: actorClaims.id,
+        email: actorClaims.email
+      }
+    },
+    {
+      expiresIn: IMPERSONATION_TOKEN_EXPIRES_IN,
+      jwtid: randomUUID()
+    }
+  );
+
+  recordAuditEvent(AUDIT_EVENTS.IMPERSONATION_START, {
+    targetId: user.id,
+    context,
+    metadata: { expiresIn: IMPERSONATION_TOKEN_EXPIRES_IN }
+  });
+
+  logger.warn(`[IMPERSONATION] Started - admin ID: ${actorClaims.id}, user ID: ${user.id}, email: ${user.email}`);
+
+  return {
+    accessToken,
+    expiresIn: IMPERSONATION_TOKEN_EXPIRES_IN,
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      roles
+    }
+  };
+};
+
+export const forgotPassword = async (email) => {
+  logger.info(`Password reset requested - email: ${email}`);
+
+  const user = await User.findOne({ where: { email } });
+
+  // Respond the same way for unknown emails to avoid account enumeration
+  if (!user) {
+    logger.warn(`Password reset skipped: User not found - email: ${email}`);
+    return { success: true };
+  }
+
+  await issuePasswordResetToken(user);
+
+  logger.info(`Password reset token issued - user ID: ${user.id}`);
+
+  return { success: true };
+};
+
+/**
+ * Handle a "this wasn't me" link from a new sign-in email
+ * Signs out every session and clears the password, so the account can only be
+ * recovered through the password reset email sent here.
+ * @param {string} token - Report token from the email link
+ * @param {Object} context - Request context, recorded in the audit log
+ */
+export const reportSignIn = async (token, context = {}) => {
+  const report = await consumeSignInReport(token);
+
+  if (!report) {
+    logger.warn('Sign-in report failed: Invalid or expired token');
+    throw new AppError('Invalid or expired link', 400, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  const { user, device } = report;
+
+  await issuePasswordResetToken(user, {
+    password: null,
+    magic_link_token: null,
+    magic_link_expires: null
+  });
+
+  const revokedSessions = await revokeAllSessions(user.id);
+
+  // Whoever signed in could have created API keys; they don't depend on the password or sessions
+  const revokedApiKeys = await ApiKey.destroy({ where: { user_id: user.id } });
+
+  logger.warn(
+    `[SECURITY] Sign-in reported as not the user - user ID: ${user.id}, IP: ${device.ip_address}, `
+    + `sessions revoked: ${revokedSessions}, API keys revoked: ${revokedApiKeys}`
+  );
+  recordAuditEvent(AUDIT_EVENTS.SIGN_IN_REPORTED, {
+    actorId: user.id,
+    targetId: user.id,
+    context,
+    metadata: {
+      device: device.device,
+      ipAddress: device.ip_address,
+      signedInAt: device.created_at,
+      revokedSessions,
+      revokedApiKeys
+    }
+  });
+
+  return { success: true };
+};
+
+export const resetPassword = async (token, password, context = {}) => {
+  const tokenHash = hashToken(token);
+
+  const user = await User.findOne({
+    where: {
+      password_reset_token: tokenHash,
+      password_reset_expires: { [Op.gt]: new Date() }
+    }
+  });
+
+  if (!user) {
+    logger.warn('Password reset failed: Invalid or expired token');
+    throw new AppError('Invalid or expired reset token', 400, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  const expiresAt = user.password_reset_expires;
+
+  // Conditional on the token still being stored, so a link can't be used twice concurrently
+  const [consumed] = await User.update(
+    {
+      password_reset_token: null,
+      password_reset_expires: null
+    },
+    {
+      where: {
+        id: user.id,
+        password_reset_token: tokenHash
+      }
+    }
+  );
+
+  if (!consumed) {
+    logger.warn(`[SECURITY] Password reset token replayed - user ID: ${user.id}`);
+    throw new AppError('Invalid or expired reset token', 400, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  // Sign out existing sessions and clear any lockout; the link proves the inbox is theirs
+  try {
+    await setPassword(user, password, {
+      password_reset_token: null,
+      password_reset_expires: null,
+      failed_login_attempts: 0,
+      lockout_count: 0,
+      account_locked_until: null,
+      ...(!user.email_verified_at && { email_verified_at: new Date() })
+    });
+  } catch (error) {
+    // A rejected password (e.g. reused) gives the link back so the user can pick another one
+    await User.update(
+      { password_reset_token: tokenHash, password_reset_expires: expiresAt },
+      { where: { id: user.id, password_reset_token: null } }
+    );
+    throw error;
+  }
+
+  await revokeAllSessions(user.id);
+
+  logger.info(`Password reset successful - user ID: ${user.id}, email: ${user.email}`);
+  recordAuditEvent(AUDIT_EVENTS.PASSWORD_RESET, {
+    actorId: user.id,
+    targetId: user.id,
+    context
+  });
+
+  return { success: true };
+};
+
+export const requestMagicLink = async (email) => {
+  logger.info(`Magic link requested - email: ${email}`);
+
+  const user = await User.findOne({ where: { email } });
+
+  // Respond the same way for unknown emails to avoid account enumeration
+  if (!user) {
+    logger.warn(`Magic link skipped: User not found - email: ${email}`);
+    return { success: true };
+  }
+
+  const loginToken = generateRandomToken();
+
+  // Only the hash is stored; requesting a new link invalidates the previous one
+  await user.update({
+    magic_link_token: hashToken(loginToken),
+    magic_link_expires: new Date(Date.now() + MAGIC_LINK_EXPIRY_MS)
+  });
+
+  // Send login link (non-blocking)
+  emailService.sendMagicLinkEmail(user, loginToken, Math.round(MAGIC_LINK_EXPIRY_MS / 60000)).catch(err => {
+    logger.error(`Failed to send magic link email to ${user.email}: ${err.message}`);
+  });
+
+  logger.info(`Magic link issued - user ID: ${user.id}`);
+
+  return { success: true };
+};
+
+export const consumeMagicLink = async (token, context = {}) => {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const user = await User.findOne({
+    where: {
+      magic_link_token: tokenHash,
+      magic_link_expires: { [Op.gt]: now }
+    }
+  });
+
+  if (!user) {
+    logger.warn('Magic link login failed: Invalid or expired token');
+    throw new AppError('Invalid or expired login link', 400, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  // Conditional on the token still being stored, so a link can't be consumed twice concurrently
+  const [consumed] = await User.update(
+    {
+      magic_link_token: null,
+      magic_link_expires: null
+    },
+    {
+      where: {
+        id: user.id,
+        magic_link_token: tokenHash
+      }
+    }
+  );
+
+  if (!consumed) {
+    logger.warn(`[SECURITY] Magic link replayed - user ID: ${user.id}`);
+    throw new AppError('Invalid or expired login link', 400, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  // Opening the link proves ownership of the address
+  if (!user.email_verified_at) {
+    await user.update({
+      email_verified_at: now,
+      email_verification_token: null
+    });
+  }
+
+  // Second factor still required when enabled
+  if (user.mfa_enabled_at) {
+    logger.info(`Magic link login pending MFA - user ID: ${user.id}`);
+    return {
+      mfaRequired: true,
+      mfaToken: generateMfaToken(user)
+    };
+  }
+
+  return completeLogin(user, context, 'magic_link');
+};
+
+export const changePassword = async (claims, currentPassword, newPassword, context = {}) => {
+  const user = await User.findByPk(claims.id);
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  if (!user.password) {
+    throw new AppError('This account has no password yet. Use forgot password to set one', 400, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  assertNotLocked(user);
+
+  // A wrong current password counts towards the lockout so a stolen access token can't be used to guess it
+  const isValidPassword = await bcrypt.compare(currentPassword, user.password);
+
+  if (!isValidPassword) {
+    await registerFailedAttempt(user, 'Incorrect current password on change', context, COMMON_ERRORS.INVALID_CURRENT_PASSWORD);
+  }
+
+  await setPassword(user, newPassword, {
+    password_reset_token: null,
+    password_reset_expires: null,
+    failed_login_attempts: 0
+  });
+
+  // Keep the caller signed in; every other device has to log in again
+  const revokedSessions = await revokeAllSessions(user.id, { exceptSessionId: claims.sid });
+
+  // Send notification (non-blocking)
+  emailService.sendPasswordChangedEmail(user).catch(err => {
+    logger.error(`Failed to send password changed email to ${user.email}: ${err.message}`);
+  });
+
+  logger.info(`Password changed - user ID: ${user.id}, other sessions revoked: ${revokedSessions}`);
+  recordAuditEvent(AUDIT_EVENTS.PASSWORD_CHANGE, {
+    targetId: user.id,
+    context,
+    metadata: { revokedSessions }
+  });
+
+  return { success: true, revokedSessions };
+};
+
+// Apply a pending email change (requested through PATCH /api/users/me) once its link is opened
+const confirmEmailChange = async (tokenHash) => {
+  const user = await User.findOne({
+    where: {
+      email_change_token: tokenHash,
+      email_change_expires: { [Op.gt]: new Date() }
+    }
+  });
+
+  if (!user) return false;
+
+  // The address may have been taken since the change was requested
+  const existingUser = await User.findOne({ where: { email: user.pending_email }, paranoid: false });
+
+  if (existingUser) {
+    await user.update({ pending_email: null, email_change_token: null, email_change_expires: null });
+    throw new AppError('Email is already in use', 409, true, ERROR_CODES.DUPLICATE_ENTRY);
+  }
+
+  const previousEmail = user.email;
+
+  await user.update({
+    email: user.pending_email,
+    email_verified_at: new Date(),
+    pending_email: null,
+    email_change_token: null,
+    email_change_expires: null
+  });
+
+  logger.info(`Email changed - user ID: ${user.id}, from: ${previousEmail}, to: ${user.email}`);
+
+  return true;
+};
+
+export const verifyEmail = async (token) => {
+  if (await confirmEmailChange(hashToken(token))) {
+    return { success: true };
+  }
+
+  const user = await User.findOne({
+    where: {
+      email_verification_token: hashToken(token),
+      email_verification_sent_at: { [Op.gt]: new Date(Date.now() - EMAIL_VERIFICATION_EXPIRY_MS) }
+    }
+  });
+
+  if (!user) {
+    logger.warn('Email verification failed: Invalid or expired token');
+    throw new AppError('Invalid or expired verification token', 400, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  await user.update({
+    email_verified_at: new Date(),
+    email_verification_token: null,
+    email_verification_sent_at: null
+  });
+
+  // Send welcome email once the address is confirmed (non-blocking)
+  emailService.sendWelcomeEmail(user).catch(err => {
+    logger.error(`Failed to send welcome email to ${user.email}: ${err.message}`);
+  });
+
+  logger.info(`Email verified - user ID: ${user.id}, email: ${user.email}`);
+
+  return { success: true };
+};
+
+export const resendVerificationEmail = async (email) => {
+  const user = await User.findOne({ where: { email } });
+
+  // Respond the same way for unknown or verified emails to avoid account enumeration
+  if (!user || user.email_verified_at) {
+    logger.warn(`Verification resend skipped: User not found or already verified - email: ${email}`);
+    return { success: true };
+  }
+
+  const lastSentAt = user.email_verification_sent_at ? new Date(user.email_verification_sent_at).getTime() : 0;
+
+  if (Date.now() - lastSentAt < EMAIL_VERIFICATION_RESEND_COOLDOWN_MS) {
+    logger.warn(`Verification resend throttled - user ID: ${user.id}`);
+    return { success: true };
+  }
+
+  await issueVerificationToken(user);
+
+  logger.info(`Verification email resent - user ID: ${user.id}`);
+
+  return { success: true };
+};
+
 export const verifyToken = async (token) => {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
     return decoded;
   } catch (error) {
     throw new AppError('Invalid token', 401);
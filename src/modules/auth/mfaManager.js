@@ -0,0 +1,170 @@
+import { Op } from 'sequelize';
+import db from '../../../database/models/index.js';
+import { AppError, COMMON_ERRORS } from '../../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+import { MFA_ISSUER, MFA_RECOVERY_CODE_COUNT } from '../../config/auth.js';
+import {
+  generateRandomToken, hashToken, encryptSecret, decryptSecret
+} from '../../services/tokenService.js';
+import { generateSecret, verifyCode, buildOtpAuthUri } from '../../services/totpService.js';
+
+const { User, MfaRecoveryCode } = db;
+
+const findUser = async (userId) => {
+  const user = await User.findByPk(userId);
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  return user;
+};
+
+// Recovery codes look like "a1b2c-3d4e5"; only their hashes are stored
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^a-f0-9]/g, '');
+
+const replaceRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: MFA_RECOVERY_CODE_COUNT }, () => {
+    const raw = generateRandomToken(5);
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+  });
+
+  await MfaRecoveryCode.destroy({ where: { user_id: userId } });
+  await MfaRecoveryCode.bulkCreate(codes.map((code) => ({
+    user_id: userId,
+    code_hash: hashToken(normalizeRecoveryCode(code))
+  })));
+
+  return codes;
+};
+
+/**
+ * Check a TOTP code or an unused recovery code for a user with 2FA enabled
+ * TOTP codes cannot be replayed and recovery codes are consumed on success
+ * @param {Object} user - User instance
+ * @param {string} code - 6 digit TOTP code or recovery code
+ * @returns {Promise<boolean>}
+ */
+export const verifyMfaCode = async (user, code) => {
+  const trimmed = code.trim();
+
+  if (/^\d{6}$/.test(trimmed)) {
+    const step = verifyCode(decryptSecret(user.mfa_secret), trimmed);
+
+    if (step === null) {
+      return false;
+    }
+
+    // Conditional update so two requests racing with the same code can't both pass
+    const [claimed] = await User.update({ mfa_last_used_step: step }, {
+      where: {
+        id: user.id,
+        [Op.or]: [
+          { mfa_last_used_step: null },
+          { mfa_last_used_step: { [Op.lt]: step } }
+        ]
+      }
+    });
+
+    if (!claimed) {
+      return false;
+    }
+
+    user.set('mfa_last_used_step', step);
+    return true;
+  }
+
+  const [consumed] = await MfaRecoveryCode.update(
+    { used_at: new Date() },
+    {
+      where: {
+        user_id: user.id,
+        code_hash: hashToken(normalizeRecoveryCode(trimmed)),
+        used_at: null
+      }
+    }
+  );
+
+  if (consumed) {
+    logger.info(`MFA recovery code used - user ID: ${user.id}`);
+  }
+
+  return consumed > 0;
+};
+
+export const enroll = async (userId) => {
+  const user = await findUser(userId);
+
+  if (user.mfa_enabled_at) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  // Starting over replaces any unconfirmed secret
+  const secret = generateSecret();
+  await user.update({
+    mfa_secret: encryptSecret(secret),
+    mfa_last_used_step: null
+  });
+
+  logger.info(`MFA enrollment started - user ID: ${user.id}`);
+
+  return {
+    secret,
+    otpauthUri: buildOtpAuthUri(secret, user.email, MFA_ISSUER)
+  };
+};
+
+export const confirmEnrollment = async (userId, code) => {
+  const user = await findUser(userId);
+
+  if (user.mfa_enabled_at) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  if (!user.mfa_secret) {
+    throw new AppError('Start two-factor enrollment before confirming it', 400);
+  }
+
+  const step = verifyCode(decryptSecret(user.mfa_secret), code.trim());
+
+  if (step === null) {
+    throw new AppError(COMMON_ERRORS.INVALID_MFA_CODE);
+  }
+
+  await user.update({
+    mfa_enabled_at: new Date(),
+    mfa_last_used_step: step
+  });
+
+  const recoveryCodes = await replaceRecoveryCodes(user.id);
+
+  logger.info(`MFA enabled - user ID: ${user.id}, email: ${user.email}`);
+
+  return { recoveryCodes };
+};
+
+export const disable = async (userId, code) => {
+  const user = await findUser(userId);
+
+  if (!user.mfa_enabled_at) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  const isValidCode = await verifyMfaCode(user, code);
+
+  if (!isValidCode) {
+    logger.warn(`MFA disable failed: Invalid code - user ID: ${user.id}`);
+    throw new AppError(COMMON_ERRORS.INVALID_MFA_CODE);
+  }
+
+  await user.update({
+    mfa_secret: null,
+    mfa_enabled_at: null,
+    mfa_last_used_step: null
+  });
+  await MfaRecoveryCode.destroy({ where: { user_id: user.id } });
+
+  logger.info(`MFA disabled - user ID: ${user.id}, email: ${user.email}`);
+
+  return { success: true };
+};
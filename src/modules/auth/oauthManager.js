@@ -0,0 +1,125 @@
+import { randomUUID } from 'crypto';
+import { AppError, ERROR_CODES } from '../../middleware/errorHandler.js';
+import { hasPermission } from '../../middleware/authorize.js';
+import logger from '../../config/logger.js';
+import { OAUTH_TOKEN_EXPIRES_SECONDS } from '../../config/auth.js';
+import { signAccessToken, verifyAccessToken } from '../../services/jwtService.js';
+import { isAccessTokenRevoked } from '../../services/tokenRevocationService.js';
+import { authenticateClient } from '../oauth/manager.js';
+
+/**
+ * OAuth 2.0 endpoints for internal services
+ * - Client credentials grant (RFC 6749 section 4.4): a registered client exchanges its id and
+ *   secret for an access token carrying `principal: 'service'` and the granted scopes as permissions.
+ * - Token introspection (RFC 7662) for access tokens issued by this server.
+ */
+
+export const SERVICE_PRINCIPAL = 'service';
+
+/**
+ * Scopes to grant: the requested ones (space separated) when the client is allowed all of them,
+ * otherwise every scope the client is registered with
+ */
+const resolveScopes = (client, requestedScope) => {
+  if (!requestedScope) return client.scopes;
+
+  const requested = [...new Set(requestedScope.split(' ').filter(Boolean))];
+  const denied = requested.filter((scope) => !hasPermission(client.scopes, scope));
+
+  if (requested.length === 0 || denied.length > 0) {
+    throw new AppError(
+      `Scope not allowed for this client: ${denied.join(' ') || requestedScope}`,
+      400,
+      true,
+      ERROR_CODES.INVALID_SCOPE
+    );
+  }
+
+  return requested;
+};
+
+/**
+ * Issue an access token to an OAuth client
+ * @param {Object} credentials - { clientId, clientSecret }
+ * @param {Object} params - Token request parameters ({ grant_type, scope })
+ * @returns {Promise<Object>} - RFC 6749 token response
+ */
+export const issueClientToken = async ({ clientId, clientSecret }, params = {}) => {
+  const client = await authenticateClient(clientId, clientSecret);
+
+  if (params.grant_type !== 'client_credentials') {
+    throw new AppError('Only the client_credentials grant is supported', 400, true, ERROR_CODES.UNSUPPORTED_GRANT_TYPE);
+  }
+
+  const scopes = resolveScopes(client, params.scope);
+
+  const accessToken = await signAccessToken(
+    {
+      principal: SERVICE_PRINCIPAL,
+      clientId: client.client_id,
+      name: client.name,
+      roles: [],
+      permissions: scopes
+    },
+    {
+      subject: client.client_id,
+      expiresIn: OAUTH_TOKEN_EXPIRES_SECONDS,
+      jwtid: randomUUID()
+    }
+  );
+
+  logger.info(`OAuth token issued - client ID: ${client.client_id}, scope: ${scopes.join(' ')}`);
+
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: OAUTH_TOKEN_EXPIRES_SECONDS,
+    scope: scopes.join(' ')
+  };
+};
+
+/**
+ * Describe an access token (RFC 7662)
+ * Only registered clients may introspect. Anything that is not a valid, unrevoked access
+ * token is reported as `{ active: false }` without saying why.
+ * @param {Object} credentials - Calling client's { clientId, clientSecret }
+ * @param {string} token - Token to introspect
+ * @returns {Promise<Object>} - Introspection response
+ */
+export const introspectToken = async ({ clientId, clientSecret }, token) => {
+  const caller = await authenticateClient(clientId, clientSecret);
+
+  if (!token) {
+    throw new AppError('token is required', 400, true, ERROR_CODES.VALIDATION_ERROR);
+  }
+
+  let decoded;
+  try {
+    decoded = await verifyAccessToken(token);
+  } catch (error) {
+    return { active: false };
+  }
+
+  // Refresh and pending-MFA tokens are not access tokens
+  if (decoded.type || await isAccessTokenRevoked(decoded)) {
+    return { active: false };
+  }
+
+  logger.info(`OAuth token introspected - by client ID: ${caller.client_id}, subject: ${decoded.sub || decoded.id}`);
+
+  const isService = decoded.principal === SERVICE_PRINCIPAL;
+
+  return {
+    active: true,
+    scope: (decoded.permissions || []).join(' '),
+    client_id: isService ? decoded.clientId : undefined,
+    username: isService ? undefined : decoded.email,
+    token_type: 'Bearer',
+    exp: decoded.exp,
+    iat: decoded.iat,
+    sub: isService ? decoded.sub : String(decoded.id),
+    jti: decoded.jti,
+    principal: isService ? SERVICE_PRINCIPAL : 'user',
+    ...(decoded.act && { act: { sub: String(decoded.act.id) } })
+  };
+};
@@ -1,9 +1,64 @@
 import express from 'express';
-import { register, login, verifyToken, refresh, logout } from './controller.js';
-import authMiddleware from '../../middleware/authMiddleware.js';
+import {
+  register,
+  acceptInvite,
+  login,
+  verifyToken,
+  refresh,
+  token,
+  introspect,
+  logout,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  impersonate,
+  requestMagicLink,
+  consumeMagicLink,
+  reportSignIn,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  deleteSession,
+  createApiKey,
+  getApiKeys,
+  deleteApiKey,
+  verifyMfa,
+  getOidcProviders,
+  startOidcLogin,
+  oidcCallback,
+  enrollMfa,
+  confirmMfa,
+  disableMfa
+} from './controller.js';
+import authMiddleware, {
+  requireSessionAuth, requireUser, denyImpersonation, allowExpiredPassword
+} from '../../middleware/authMiddleware.js';
 import { validate } from '../../middleware/validate.js';
-import { registerSchema, loginSchema, refreshTokenSchema } from './validation.js';
+import {
+  registerSchema,
+  acceptInviteSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  magicLinkSchema,
+  consumeMagicLinkSchema,
+  reportSignInSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  logoutQuerySchema,
+  sessionIdParamSchema,
+  oidcProviderParamSchema,
+  oidcCallbackQuerySchema,
+  createApiKeySchema,
+  apiKeyIdParamSchema,
+  impersonateParamSchema,
+  mfaCodeBodySchema,
+  mfaVerifySchema
+} from './validation.js';
 import { authLimiter } from '../../middleware/rateLimiter.js';
+import { authorize } from '../../middleware/authorize.js';
 
 const router = express.Router();
 
@@ -13,6 +68,7 @@ const router = express.Router();
  *   post:
  *     tags: [Auth]
  *     summary: Register a new user
+ *     description: Closed with `403 REGISTRATION_CLOSED` when `OPEN_REGISTRATION=false`; accounts are then created through invitations.
  *     requestBody:
  *       required: true
  *       content:
@@ -30,7 +86,7 @@ const router = express.Router();
  *                 example: user@example.com
  *               password:
  *                 type: string
- *                 example: password123
+ *                 example: MyS3cure!Pass
  *               name:
  *                 type: string
  *                 example: John Doe
@@ -39,15 +95,59 @@ const router = express.Router();
  *         description: User registered successfully
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Registration is by invitation only
  */
 router.post('/register', authLimiter, validate(registerSchema), register);
 
+/**
+ * @swagger
+ * /api/auth/accept-invite:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Create an account from an invitation
+ *     description: |
+ *       Uses the token from the invitation email. The account gets the invitation's email (already verified)
+ *       and role. Works whether or not open registration is enabled.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - name
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 example: John Doe
+ *               password:
+ *                 type: string
+ *                 example: MyS3cure!Pass
+ *     responses:
+ *       201:
+ *         description: Account created
+ *       400:
+ *         description: Validation error or invalid/expired invitation
+ *       409:
+ *         description: An account with this email already exists
+ */
+router.post('/accept-invite', authLimiter, validate(acceptInviteSchema), acceptInvite);
+
 /**
  * @swagger
  * /api/auth/login:
  *   post:
  *     tags: [Auth]
  *     summary: Login user
+ *     description: |
+ *       If the account has two-factor authentication enabled, the response contains
+ *       `mfaRequired: true` and a short-lived `mfaToken` instead of access/refresh tokens.
+ *       Exchange it at `POST /api/auth/mfa/verify`.
  *     requestBody:
  *       required: true
  *       content:
@@ -84,6 +184,169 @@ router.post('/register', authLimiter, validate(registerSchema), register);
  */
 router.post('/login', authLimiter, validate(loginSchema), login);
 
+/**
+ * @swagger
+ * /api/auth/magic-link:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Email a one-time login link
+ *     description: Always responds with 200 so the endpoint cannot be used to discover registered emails.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Login link sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post('/magic-link', authLimiter, validate(magicLinkSchema), requestMagicLink);
+
+/**
+ * @swagger
+ * /api/auth/magic-link/consume:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Log in with a token from a magic link email
+ *     description: Responds like `/login`. Each link works once and expires after `MAGIC_LINK_EXPIRY_MINUTES` (default 15).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful or MFA required
+ *       400:
+ *         description: Validation error or invalid/expired/used link
+ */
+router.post('/magic-link/consume', authLimiter, validate(consumeMagicLinkSchema), consumeMagicLink);
+
+/**
+ * @swagger
+ * /api/auth/report-sign-in:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Report a sign-in from a new device as not yours
+ *     description: |
+ *       Uses the token from the "This wasn't me" link in a new sign-in email. Signs out every
+ *       session, revokes every API key, clears the password and emails a password reset link. Each
+ *       link works once and expires after `NEW_DEVICE_REPORT_EXPIRY_DAYS` (default 7).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sessions revoked and password reset email sent
+ *       400:
+ *         description: Validation error or invalid/expired/used link
+ */
+router.post('/report-sign-in', authLimiter, validate(reportSignInSchema), reportSignIn);
+
+/**
+ * @swagger
+ * /api/auth/oidc/providers:
+ *   get:
+ *     tags: [Auth]
+ *     summary: List configured login providers
+ *     responses:
+ *       200:
+ *         description: Provider names usable with /api/auth/oidc/{provider}
+ */
+router.get('/oidc/providers', getOidcProviders);
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Start login with an OpenID Connect provider
+ *     description: |
+ *       Redirects the browser to the provider's authorization page (authorization code flow with PKCE) and
+ *       sets a short-lived HttpOnly `oidc_state` cookie that the callback requires.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider
+ *       404:
+ *         description: Unknown provider
+ *       502:
+ *         description: Provider discovery failed
+ */
+router.get('/oidc/:provider', authLimiter, validate(oidcProviderParamSchema, 'params'), startOidcLogin);
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}/callback:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Complete login with an OpenID Connect provider
+ *     description: |
+ *       Redirect target registered with the provider. Exchanges the code, then links the identity to an
+ *       existing user by verified email or creates a new passwordless user. Responds like `/login`,
+ *       including `mfaRequired` when the user has 2FA enabled. Only accepted from the browser holding the
+ *       `oidc_state` cookie set when the login started; the cookie is cleared so the state works once.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Login successful or MFA required
+ *       400:
+ *         description: Provider returned an error, or state is invalid/expired
+ *       401:
+ *         description: Code or ID token rejected
+ *       409:
+ *         description: Email belongs to an existing account and the provider has not verified it
+ */
+router.get(
+  '/oidc/:provider/callback',
+  authLimiter,
+  validate(oidcProviderParamSchema, 'params'),
+  validate(oidcCallbackQuerySchema, 'query'),
+  oidcCallback
+);
+
 /**
  * @swagger
  * /api/auth/verify:
@@ -98,7 +361,7 @@ router.post('/login', authLimiter, validate(loginSchema), login);
  *       401:
  *         description: Invalid or expired token
  */
-router.get('/verify', authMiddleware, verifyToken);
+router.get('/verify', allowExpiredPassword, authMiddleware, verifyToken);
 
 /**
  * @swagger
@@ -106,6 +369,9 @@ router.get('/verify', authMiddleware, verifyToken);
  *   post:
  *     tags: [Auth]
  *     summary: Refresh access token
+ *     description: |
+ *       Returns a new access token **and a new refresh token** in the response body.
+ *       Each refresh token can be used once. Presenting an already-used refresh token revokes its whole session.
  *     requestBody:
  *       required: true
  *       content:
@@ -118,24 +384,524 @@ router.get('/verify', authMiddleware, verifyToken);
  *                 description: Can also be sent via X-Refresh-Token header
  *     responses:
  *       200:
- *         description: New access token generated
+ *         description: New access and refresh tokens generated
  *       401:
- *         description: Invalid refresh token
+ *         description: Invalid, expired or reused refresh token
  */
 router.post('/refresh', validate(refreshTokenSchema), refresh);
 
+/**
+ * @swagger
+ * /api/auth/token:
+ *   post:
+ *     tags: [Auth]
+ *     summary: OAuth 2.0 token endpoint for internal services (client credentials grant)
+ *     description: |
+ *       Authenticate with HTTP Basic (`client_id:client_secret`) or `client_id`/`client_secret` form fields.
+ *       `scope` (space separated) narrows the token to some of the client's scopes; by default it gets all of them.
+ *       The access token is used as `Authorization: Bearer <token>` and identifies a service, not a user.
+ *       Errors use the RFC 6749 format (`error`, `error_description`).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grant_type
+ *             properties:
+ *               grant_type:
+ *                 type: string
+ *                 enum: [client_credentials]
+ *               scope:
+ *                 type: string
+ *                 example: users:read
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Access token issued (`access_token`, `token_type`, `expires_in`, `scope`)
+ *       400:
+ *         description: unsupported_grant_type, invalid_scope or invalid_request
+ *       401:
+ *         description: invalid_client
+ */
+router.post('/token', authLimiter, token);
+
+/**
+ * @swagger
+ * /api/auth/introspect:
+ *   post:
+ *     tags: [Auth]
+ *     summary: OAuth 2.0 token introspection (RFC 7662)
+ *     description: |
+ *       Callers authenticate as a registered OAuth client, like at `/api/auth/token`. Returns
+ *       `{ "active": false }` for invalid, expired or revoked tokens; active tokens include `scope`,
+ *       `sub`, `exp`, `iat`, `jti`, `principal` (`user` or `service`) and `client_id` or `username`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               token_type_hint:
+ *                 type: string
+ *                 example: access_token
+ *     responses:
+ *       200:
+ *         description: Token metadata
+ *       401:
+ *         description: invalid_client
+ */
+router.post('/introspect', authLimiter, introspect);
+
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
  *     tags: [Auth]
  *     summary: Logout user
+ *     description: Ends the current session only, unless `all=true` is passed.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: End every session for this user
  *     responses:
  *       200:
  *         description: Logged out successfully
  */
-router.post('/logout', authMiddleware, logout);
+router.post('/logout', allowExpiredPassword, authMiddleware, requireSessionAuth, validate(logoutQuerySchema, 'query'), logout);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     tags: [Auth]
+ *     summary: List active sessions for the current user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions (the one making the request is marked `current`)
+ */
+router.get('/sessions', authMiddleware, requireUser, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Revoke one of the current user's sessions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', authMiddleware, requireUser, denyImpersonation, validate(sessionIdParamSchema, 'params'), deleteSession);
+
+/**
+ * @swagger
+ * /api/auth/api-keys:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Create a personal API key
+ *     description: |
+ *       The key is returned once in the response and stored hashed. Send it as `X-API-Key: <key>`
+ *       or `Authorization: ApiKey <key>`. Scopes narrow the key to a subset of the owner's permissions;
+ *       without scopes the key acts with all of them.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: CI deploy script
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["users:read"]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created (includes the plain key)
+ *       400:
+ *         description: Validation error or key limit reached
+ *       403:
+ *         description: API keys cannot create other API keys
+ */
+router.post('/api-keys', authMiddleware, requireSessionAuth, denyImpersonation, validate(createApiKeySchema), createApiKey);
+
+/**
+ * @swagger
+ * /api/auth/api-keys:
+ *   get:
+ *     tags: [Auth]
+ *     summary: List the current user's API keys
+ *     description: Keys are identified by their prefix; the full key is never returned again.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys with last used time and IP
+ */
+router.get('/api-keys', authMiddleware, requireSessionAuth, denyImpersonation, getApiKeys);
+
+/**
+ * @swagger
+ * /api/auth/api-keys/{id}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Revoke one of the current user's API keys
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       404:
+ *         description: API key not found
+ */
+router.delete(
+  '/api-keys/:id',
+  authMiddleware,
+  requireSessionAuth,
+  denyImpersonation,
+  validate(apiKeyIdParamSchema, 'params'),
+  deleteApiKey
+);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Request a password reset email
+ *     description: Always responds with 200 so the endpoint cannot be used to discover registered emails.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post('/forgot-password', authLimiter, validate(forgotPasswordSchema), forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Reset password using a token from the reset email
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Single-use token from the reset link (expires after 1 hour)
+ *               password:
+ *                 type: string
+ *                 example: NewPassword123!
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error or invalid/expired token
+ */
+router.post('/reset-password', authLimiter, validate(resetPasswordSchema), resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Change password for the current user
+ *     description: Requires the current password. All other sessions are signed out and a notification email is sent.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 example: Password123!
+ *               newPassword:
+ *                 type: string
+ *                 example: NewPassword123!
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Validation error or incorrect current password
+ *       401:
+ *         description: Unauthorized
+ *       423:
+ *         description: Account locked after too many failed attempts
+ */
+router.post(
+  '/change-password',
+  authLimiter,
+  allowExpiredPassword,
+  authMiddleware,
+  requireSessionAuth,
+  denyImpersonation,
+  validate(changePasswordSchema),
+  changePassword
+);
+
+/**
+ * @swagger
+ * /api/auth/impersonate/{userId}:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Get a short-lived access token to act as another user (requires users:impersonate)
+ *     description: |
+ *       The token carries the target user's claims plus an `act` claim identifying the admin.
+ *       No refresh token is issued. Impersonated sessions cannot change passwords, manage API keys,
+ *       MFA or sessions, and every request they make is logged. Users who can impersonate cannot be impersonated.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Impersonation token issued
+ *       400:
+ *         description: Attempt to impersonate yourself
+ *       403:
+ *         description: Missing permission, or the target cannot be impersonated
+ *       404:
+ *         description: User not found
+ */
+router.post(
+  '/impersonate/:userId',
+  authMiddleware,
+  requireSessionAuth,
+  denyImpersonation,
+  authorize('users:impersonate'),
+  validate(impersonateParamSchema, 'params'),
+  impersonate
+);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Verify email address using the token from the verification email
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification token
+ */
+router.get('/verify-email', validate(verifyEmailSchema, 'query'), verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Resend the email verification link
+ *     description: Throttled per account. Always responds with 200 so the endpoint cannot be used to discover registered emails.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the account exists and is unverified
+ *       400:
+ *         description: Validation error
+ */
+router.post('/resend-verification', authLimiter, validate(resendVerificationSchema), resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/mfa/verify:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Complete a two-factor login
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *               - code
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 description: Token returned by /api/auth/login
+ *               code:
+ *                 type: string
+ *                 description: 6 digit authenticator code or a recovery code
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code or invalid/expired MFA token
+ *       423:
+ *         description: Account locked after too many failed attempts
+ */
+router.post('/mfa/verify', authLimiter, validate(mfaVerifySchema), verifyMfa);
+
+/**
+ * @swagger
+ * /api/auth/mfa/enroll:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new TOTP secret and an `otpauth://` URI to render as a QR code.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *       409:
+ *         description: Two-factor authentication already enabled
+ */
+router.post('/mfa/enroll', authMiddleware, requireSessionAuth, denyImpersonation, enrollMfa);
+
+/**
+ * @swagger
+ * /api/auth/mfa/confirm:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Confirm enrollment with a first code and enable two-factor authentication
+ *     description: Returns one-time recovery codes. They are stored hashed and cannot be shown again.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/mfa/confirm', authMiddleware, requireSessionAuth, denyImpersonation, validate(mfaCodeBodySchema), confirmMfa);
+
+/**
+ * @swagger
+ * /api/auth/mfa/disable:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Disable two-factor authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 6 digit authenticator code or a recovery code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/mfa/disable', authMiddleware, requireSessionAuth, denyImpersonation, validate(mfaCodeBodySchema), disableMfa);
 
 export default router;
@@ -0,0 +1,184 @@
+import { randomUUID } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import db from '../../../database/models/index.js';
+import { AppError, COMMON_ERRORS } from '../../middleware/errorHandler.js';
+import { hashToken } from '../../services/tokenService.js';
+import { revokeSessionAccessTokens } from '../../services/tokenRevocationService.js';
+
+const { Session } = db;
+
+const SESSION_ATTRIBUTES = ['id', 'device', 'user_agent', 'ip_address', 'last_used_at', 'expires_at', 'created_at'];
+
+// Rough "Browser on OS" label for session lists; not meant to be exhaustive
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const PLATFORMS = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+export const parseDevice = (userAgent) => {
+  if (!userAgent) return null;
+
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token));
+  const platform = PLATFORMS.find(([token]) => userAgent.includes(token));
+
+  if (!browser && !platform) return 'Unknown device';
+  if (!platform) return browser[1];
+  if (!browser) return platform[1];
+  return `${browser[1]} on ${platform[1]}`;
+};
+
+const signRefreshToken = (user, sessionId) => jwt.sign(
+  {
+    id: user.id,
+    email: user.email,
+    sid: sessionId,
+    type: 'refresh'
+  },
+  process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+  {
+    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    jwtid: randomUUID()
+  }
+);
+
+/**
+ * Start a new session and issue its refresh token
+ * @param {Object} user - User instance
+ * @param {Object} context - Request context ({ ipAddress, userAgent })
+ * @returns {Promise<Object>} - { session, refreshToken }
+ */
+export const createSession = async (user, context = {}) => {
+  const sessionId = randomUUID();
+  const refreshToken = signRefreshToken(user, sessionId);
+  const { exp } = jwt.decode(refreshToken);
+
+  const session = await Session.create({
+    id: sessionId,
+    user_id: user.id,
+    refresh_token_hash: hashToken(refreshToken),
+    device: parseDevice(context.userAgent),
+    user_agent: context.userAgent ? context.userAgent.substring(0, 512) : null,
+    ip_address: context.ipAddress || null,
+    last_used_at: new Date(),
+    expires_at: new Date(exp * 1000)
+  });
+
+  return { session, refreshToken };
+};
+
+/**
+ * Find a non-expired session that belongs to the user
+ * @returns {Promise<Object|null>}
+ */
+export const findActiveSession = async (userId, sessionId) => {
+  if (!sessionId) return null;
+
+  return Session.findOne({
+    where: {
+      id: sessionId,
+      user_id: userId,
+      expires_at: { [Op.gt]: new Date() }
+    }
+  });
+};
+
+/**
+ * Replace the session's refresh token with a new one (same session, new token)
+ * The update is conditional on the presented token still being current, so two
+ * concurrent refreshes with the same token cannot both succeed.
+ * @param {Object} session - Session instance
+ * @param {Object} user - User instance
+ * @param {string} presentedToken - Refresh token being exchanged
+ * @param {Object} context - Request context ({ ipAddress, userAgent })
+ * @returns {Promise<string|null>} - New refresh token, or null if the presented token was already rotated
+ */
+export const rotateSession = async (session, user, presentedToken, context = {}) => {
+  const refreshToken = signRefreshToken(user, session.id);
+  const { exp } = jwt.decode(refreshToken);
+
+  const [updated] = await Session.update(
+    {
+      refresh_token_hash: hashToken(refreshToken),
+      last_used_at: new Date(),
+      ip_address: context.ipAddress || session.ip_address,
+      expires_at: new Date(exp * 1000)
+    },
+    {
+      where: {
+        id: session.id,
+        refresh_token_hash: hashToken(presentedToken)
+      }
+    }
+  );
+
+  return updated ? refreshToken : null;
+};
+
+export const listSessions = async (userId, currentSessionId = null) => {
+  const sessions = await Session.findAll({
+    where: {
+      user_id: userId,
+      expires_at: { [Op.gt]: new Date() }
+    },
+    order: [['last_used_at', 'DESC']],
+    attributes: SESSION_ATTRIBUTES
+  });
+
+  return sessions.map((session) => ({
+    ...session.toJSON(),
+    current: session.id === currentSessionId
+  }));
+};
+
+// Deleting a session also blocks the access tokens already issued for it
+const endSessions = async (sessions) => {
+  await Promise.all(sessions.map((session) => revokeSessionAccessTokens(session.id, session.expires_at)));
+
+  if (sessions.length === 0) return 0;
+
+  return Session.destroy({
+    where: { id: sessions.map((session) => session.id) }
+  });
+};
+
+export const revokeSession = async (userId, sessionId) => {
+  const session = await Session.findOne({
+    where: {
+      id: sessionId,
+      user_id: userId
+    }
+  });
+
+  if (!session) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  await endSessions([session]);
+
+  return { success: true };
+};
+
+/**
+ * End every session for a user
+ * @param {number} userId - User ID
+ * @param {Object} options - { exceptSessionId } keeps one session alive
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, { exceptSessionId } = {}) => {
+  const where = { user_id: userId };
+
+  if (exceptSessionId) {
+    where.id = { [Op.ne]: exceptSessionId };
+  }
+
+  const sessions = await Session.findAll({ where, attributes: ['id', 'expires_at'] });
+
+  return endSessions(sessions);
+};
+
+export const deleteExpiredSessions = async () => {
+  return Session.destroy({
+    where: {
+      expires_at: { [Op.lte]: new Date() }
+    }
+  });
+};
@@ -0,0 +1,110 @@
+import jwt from 'jsonwebtoken';
+import {
+  AUTH_TOKEN_TRANSPORT,
+  AUTH_COOKIE_NAMES,
+  AUTH_COOKIE_SECURE,
+  AUTH_COOKIE_SAME_SITE,
+  AUTH_COOKIE_DOMAIN,
+  OIDC_STATE_EXPIRY_MS
+} from '../../config/auth.js';
+import { generateRandomToken } from '../../services/tokenService.js';
+
+// Refresh tokens are only needed by /api/auth (refresh, logout), so the browser sends them nowhere else
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// The OIDC state cookie is only read by the provider callback
+const OIDC_STATE_COOKIE_PATH = '/api/auth/oidc';
+
+const baseOptions = () => ({
+  secure: AUTH_COOKIE_SECURE,
+  sameSite: AUTH_COOKIE_SAME_SITE,
+  domain: AUTH_COOKIE_DOMAIN,
+  path: '/'
+});
+
+// Cookies live exactly as long as the token inside them
+const maxAgeOf = (token) => {
+  const { exp } = jwt.decode(token) || {};
+  return exp ? Math.max(exp * 1000 - Date.now(), 0) : undefined;
+};
+
+export const isCookieTransport = () => AUTH_TOKEN_TRANSPORT === 'cookie';
+
+/**
+ * Set the access, refresh and CSRF cookies
+ * The CSRF cookie is readable by scripts; clients echo it in the X-CSRF-Token header.
+ * @param {Object} res - Express response
+ * @param {Object} tokens - { accessToken, refreshToken }
+ */
+export const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  const refreshMaxAge = maxAgeOf(refreshToken);
+
+  res.cookie(AUTH_COOKIE_NAMES.accessToken, accessToken, {
+    ...baseOptions(),
+    httpOnly: true,
+    maxAge: maxAgeOf(accessToken)
+  });
+
+  res.cookie(AUTH_COOKIE_NAMES.refreshToken, refreshToken, {
+    ...baseOptions(),
+    httpOnly: true,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: refreshMaxAge
+  });
+
+  res.cookie(AUTH_COOKIE_NAMES.csrfToken, generateRandomToken(), {
+    ...baseOptions(),
+    httpOnly: false,
+    maxAge: refreshMaxAge
+  });
+};
+
+export const clearAuthCookies = (res) => {
+  res.clearCookie(AUTH_COOKIE_NAMES.accessToken, baseOptions());
+  res.clearCookie(AUTH_COOKIE_NAMES.refreshToken, { ...baseOptions(), path: REFRESH_COOKIE_PATH });
+  res.clearCookie(AUTH_COOKIE_NAMES.csrfToken, baseOptions());
+};
+
+/**
+ * Bind an OIDC login to the browser that started it
+ * Set in both token transports. SameSite=Lax so the cookie survives the top-level redirect back
+ * from the provider.
+ * @param {Object} res - Express response
+ * @param {string} stateId - stateId from oidcService.buildAuthorizationUrl
+ */
+export const setOidcStateCookie = (res, stateId) => {
+  res.cookie(AUTH_COOKIE_NAMES.oidcState, stateId, {
+    ...baseOptions(),
+    sameSite: 'lax',
+    httpOnly: true,
+    path: OIDC_STATE_COOKIE_PATH,
+    maxAge: OIDC_STATE_EXPIRY_MS
+  });
+};
+
+// Read and clear the state cookie so each login attempt can be completed once
+export const consumeOidcStateCookie = (req, res) => {
+  const stateId = req.cookies ? req.cookies[AUTH_COOKIE_NAMES.oidcState] : undefined;
+
+  res.clearCookie(AUTH_COOKIE_NAMES.oidcState, { ...baseOptions(), sameSite: 'lax', path: OIDC_STATE_COOKIE_PATH });
+
+  return stateId;
+};
+
+/**
+ * Deliver tokens from a login or refresh result
+ * In cookie mode the tokens are moved into cookies and left out of the JSON body.
+ * @param {Object} res - Express response
+ * @param {Object} result - Manager result ({ accessToken, refreshToken, user } or { mfaRequired, mfaToken })
+ * @returns {Object} - Response data
+ */
+export const sendTokens = (res, result) => {
+  if (!isCookieTransport() || !result.accessToken) {
+    return result;
+  }
+
+  setAuthCookies(res, result);
+
+  const { accessToken: _accessToken, refreshToken: _refreshToken, ...data } = result;
+  return data;
+};
@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { passwordSchema } from '../../services/passwordPolicyService.js';
 
 export const registerSchema = Joi.object({
   email: Joi.string().email().required().messages({
@@ -6,18 +7,7 @@ export const registerSchema = Joi.object({
     'string.email': 'Please provide a valid email address',
     'any.required': 'Email is required'
   }),
-  password: Joi.string()
-    .min(8)
-    .max(255)
-    .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .required()
-    .messages({
-      'string.empty': 'Password is required',
-      'string.min': 'Password must be at least 8 characters',
-      'string.max': 'Password must not exceed 255 characters',
-      'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
-      'any.required': 'Password is required'
-    }),
+  password: passwordSchema,
   name: Joi.string().min(2).max(255).required().messages({
     'string.empty': 'Name is required',
     'string.min': 'Name must be at least 2 characters',
@@ -43,3 +33,184 @@ export const refreshTokenSchema = Joi.object({
     'string.base': 'Refresh token must be a string'
   })
 });
+
+export const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  })
+});
+
+export const magicLinkSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  })
+});
+
+export const consumeMagicLinkSchema = Joi.object({
+  token: Joi.string().hex().length(64).required().messages({
+    'string.empty': 'Login token is required',
+    'string.hex': 'Invalid login token',
+    'string.length': 'Invalid login token',
+    'any.required': 'Login token is required'
+  })
+});
+
+export const reportSignInSchema = Joi.object({
+  token: Joi.string().hex().length(64).required().messages({
+    'string.empty': 'Report token is required',
+    'string.hex': 'Invalid report token',
+    'string.length': 'Invalid report token',
+    'any.required': 'Report token is required'
+  })
+});
+
+export const resetPasswordSchema = Joi.object({
+  token: Joi.string().hex().length(64).required().messages({
+    'string.empty': 'Reset token is required',
+    'string.hex': 'Invalid reset token',
+    'string.length': 'Invalid reset token',
+    'any.required': 'Reset token is required'
+  }),
+  password: passwordSchema
+});
+
+export const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required().messages({
+    'string.empty': 'Current password is required',
+    'any.required': 'Current password is required'
+  }),
+  newPassword: passwordSchema
+    .invalid(Joi.ref('currentPassword'))
+    .messages({ 'any.invalid': 'New password must be different from the current password' })
+});
+
+export const verifyEmailSchema = Joi.object({
+  token: Joi.string().hex().length(64).required().messages({
+    'string.empty': 'Verification token is required',
+    'string.hex': 'Invalid verification token',
+    'string.length': 'Invalid verification token',
+    'any.required': 'Verification token is required'
+  })
+});
+
+export const resendVerificationSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  })
+});
+
+export const logoutQuerySchema = Joi.object({
+  all: Joi.boolean().default(false).messages({
+    'boolean.base': 'all must be true or false'
+  })
+});
+
+export const sessionIdParamSchema = Joi.object({
+  id: Joi.string().guid({ version: 'uuidv4' }).required().messages({
+    'string.guid': 'Session ID must be a valid UUID',
+    'any.required': 'Session ID is required'
+  })
+});
+
+export const oidcProviderParamSchema = Joi.object({
+  provider: Joi.string().pattern(/^[a-z0-9_-]+$/).max(50).required().messages({
+    'string.pattern.base': 'Invalid login provider',
+    'any.required': 'Login provider is required'
+  })
+});
+
+export const oidcCallbackQuerySchema = Joi.object({
+  code: Joi.string().max(2048).when('error', {
+    is: Joi.exist(),
+    then: Joi.optional(),
+    otherwise: Joi.required()
+  }).messages({
+    'any.required': 'Authorization code is required'
+  }),
+  state: Joi.string().max(2048).when('error', {
+    is: Joi.exist(),
+    then: Joi.optional(),
+    otherwise: Joi.required()
+  }).messages({
+    'any.required': 'State is required'
+  }),
+  error: Joi.string().max(255).optional(),
+  error_description: Joi.string().max(1024).optional()
+});
+
+export const createApiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    'string.empty': 'Name is required',
+    'string.max': 'Name must not exceed 100 characters',
+    'any.required': 'Name is required'
+  }),
+  scopes: Joi.array()
+    .items(Joi.string().pattern(/^(\*|[a-z-]+:(\*|[a-z-]+))$/).messages({
+      'string.pattern.base': 'Scopes must look like resource:action, resource:* or *'
+    }))
+    .min(1)
+    .unique()
+    .optional()
+    .messages({
+      'array.min': 'Scopes must contain at least one entry when provided'
+    }),
+  expiresAt: Joi.date().iso().greater('now').optional().messages({
+    'date.format': 'expiresAt must be an ISO 8601 date',
+    'date.greater': 'expiresAt must be in the future'
+  })
+});
+
+export const apiKeyIdParamSchema = Joi.object({
+  id: Joi.number().integer().positive().required().messages({
+    'number.base': 'API key ID must be a number',
+    'number.positive': 'API key ID must be a positive number',
+    'any.required': 'API key ID is required'
+  })
+});
+
+export const impersonateParamSchema = Joi.object({
+  userId: Joi.number().integer().positive().required().messages({
+    'number.base': 'User ID must be a number',
+    'number.positive': 'User ID must be a positive number',
+    'any.required': 'User ID is required'
+  })
+});
+
+const mfaCodeSchema = Joi.string().trim().min(6).max(20).required().messages({
+  'string.empty': 'Verification code is required',
+  'string.min': 'Invalid verification code',
+  'string.max': 'Invalid verification code',
+  'any.required': 'Verification code is required'
+});
+
+export const mfaCodeBodySchema = Joi.object({
+  code: mfaCodeSchema
+});
+
+export const mfaVerifySchema = Joi.object({
+  mfaToken: Joi.string().required().messages({
+    'string.empty': 'MFA token is required',
+    'any.required': 'MFA token is required'
+  }),
+  code: mfaCodeSchema
+});
+
+export const acceptInviteSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'string.empty': 'Invitation token is required',
+    'any.required': 'Invitation token is required'
+  }),
+  name: Joi.string().min(2).max(255).required().messages({
+    'string.empty': 'Name is required',
+    'string.min': 'Name must be at least 2 characters',
+    'string.max': 'Name must not exceed 255 characters',
+    'any.required': 'Name is required'
+  }),
+  password: passwordSchema
+});
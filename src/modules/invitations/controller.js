@@ -0,0 +1,50 @@
+import {
+  createInvitation, findAndCountAll, resendInvitation, revokeInvitation
+} from './manager.js';
+import { catchAsync } from '../../middleware/errorHandler.js';
+import { getRequestContext } from '../../middleware/requestId.js';
+
+export const createInvite = catchAsync(async (req, res) => {
+  const invitation = await createInvitation(req.user, req.body, getRequestContext(req));
+
+  res.status(201).json({
+    success: true,
+    message: `Invitation sent to ${invitation.email}`,
+    data: invitation
+  });
+});
+
+export const getInvites = catchAsync(async (req, res) => {
+  const { items, total } = await findAndCountAll(
+    req.filters || {},
+    req.sort || {},
+    req.pagination || {},
+    req.query.status
+  );
+
+  res.status(200).json({
+    success: true,
+    data: items,
+    total
+  });
+});
+
+export const resendInvite = catchAsync(async (req, res) => {
+  const invitation = await resendInvitation(req.params.id, req.user, req.body.expiresInDays);
+
+  res.status(200).json({
+    success: true,
+    message: `Invitation resent to ${invitation.email}`,
+    data: invitation
+  });
+});
+
+export const revokeInvite = catchAsync(async (req, res) => {
+  const invitation = await revokeInvitation(req.params.id, getRequestContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Invitation revoked successfully',
+    data: invitation
+  });
+});
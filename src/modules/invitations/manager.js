@@ -0,0 +1,235 @@
+import { Op } from 'sequelize';
+import db from '../../../database/models/index.js';
+import { AppError, COMMON_ERRORS, ERROR_CODES } from '../../middleware/errorHandler.js';
+import { hasPermission } from '../../middleware/authorize.js';
+import logger from '../../config/logger.js';
+import { DEFAULT_ROLE, INVITATION_EXPIRY_DAYS } from '../../config/auth.js';
+import emailService from '../../services/emailService.js';
+import { generateRandomToken, hashToken } from '../../services/tokenService.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../../services/auditService.js';
+
+const { Invitation, Role, User } = db;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+const getStatus = (invitation) => {
+  if (invitation.accepted_at) return 'accepted';
+  if (invitation.revoked_at) return 'revoked';
+  if (new Date(invitation.expires_at) <= new Date()) return 'expired';
+  return 'pending';
+};
+
+const STATUS_CONDITIONS = {
+  pending: () => ({ accepted_at: null, revoked_at: null, expires_at: { [Op.gt]: new Date() } }),
+  accepted: () => ({ accepted_at: { [Op.ne]: null } }),
+  revoked: () => ({ accepted_at: null, revoked_at: { [Op.ne]: null } }),
+  expired: () => ({ accepted_at: null, revoked_at: null, expires_at: { [Op.lte]: new Date() } })
+};
+
+const INCLUDE_ROLE_AND_INVITER = [
+  { model: Role, as: 'role', attributes: ['id', 'name'] },
+  { model: User, as: 'inviter', attributes: ['id', 'email', 'name'] }
+];
+
+const formatInvitation = (invitation) => ({
+  id: invitation.id,
+  email: invitation.email,
+  role: invitation.role ? invitation.role.name : null,
+  status: getStatus(invitation),
+  invited_by: invitation.inviter
+    ? { id: invitation.inviter.id, email: invitation.inviter.email, name: invitation.inviter.name }
+    : null,
+  expires_at: invitation.expires_at,
+  last_sent_at: invitation.last_sent_at,
+  accepted_at: invitation.accepted_at,
+  accepted_user_id: invitation.accepted_user_id,
+  revoked_at: invitation.revoked_at,
+  created_at: invitation.created_at
+});
+
+// Access token claims carry no display name
+const getInviterName = async (userId) => {
+  const user = await User.findByPk(userId, { attributes: ['name'] });
+  return user ? user.name : 'A team member';
+};
+
+// Store a fresh token (the previous link stops working) and email the invitation
+const sendInvitation = async (invitation, inviterName, expiresInDays) => {
+  const inviteToken = generateRandomToken();
+  const now = new Date();
+
+  // Also inserts invitations that haven't been saved yet
+  invitation.set({
+    token_hash: hashToken(inviteToken),
+    expires_at: new Date(now.getTime() + expiresInDays * DAY_MS),
+    last_sent_at: now
+  });
+  await invitation.save();
+
+  // Send invitation email (non-blocking)
+  emailService.sendInvitationEmail(invitation.email, inviterName, inviteToken, expiresInDays).catch(err => {
+    logger.error(`Failed to send invitation email to ${invitation.email}: ${err.message}`);
+  });
+};
+
+const findInvitation = async (id) => {
+  const invitation = await Invitation.findByPk(id, { include: INCLUDE_ROLE_AND_INVITER });
+
+  if (!invitation) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  return invitation;
+};
+
+/**
+ * Invite someone to create an account
+ * Inviters can only hand out roles whose permissions they hold themselves.
+ * @param {Object} inviter - req.user of the admin or owner sending the invitation
+ * @param {Object} data - { email, role, expiresInDays }
+ * @param {Object} context - Request context, recorded in the audit log
+ * @returns {Promise<Object>} - Invitation
+ */
+export const createInvitation = async (inviter, { email, role: roleName = DEFAULT_ROLE, expiresInDays = INVITATION_EXPIRY_DAYS }, context = {}) => {
+  const role = await Role.findOne({ where: { name: roleName } });
+
+  if (!role) {
+    throw new AppError(`Unknown role: ${roleName}`, 400, true, ERROR_CODES.VALIDATION_ERROR);
+  }
+
+  const missing = (role.permissions || []).filter((permission) => !hasPermission(inviter.permissions || [], permission));
+
+  if (missing.length > 0) {
+    throw new AppError(`You cannot invite users with the ${role.name} role`, 403, true, ERROR_CODES.FORBIDDEN);
+  }
+
+  // Soft-deleted accounts keep their email until purged
+  const [existingUser, pendingInvitation] = await Promise.all([
+    User.findOne({ where: { email }, paranoid: false, attributes: ['id'] }),
+    Invitation.findOne({ where: { email, ...STATUS_CONDITIONS.pending() }, attributes: ['id'] })
+  ]);
+
+  if (existingUser) {
+    throw new AppError('Email is already in use', 409, true, ERROR_CODES.DUPLICATE_ENTRY);
+  }
+
+  if (pendingInvitation) {
+    throw new AppError(
+      `A pending invitation already exists for this email (ID: ${pendingInvitation.id}). Resend it instead`,
+      409,
+      true,
+      ERROR_CODES.DUPLICATE_ENTRY
+    );
+  }
+
+  const invitation = Invitation.build({
+    email,
+    role_id: role.id,
+    invited_by: inviter.id
+  });
+
+  await sendInvitation(invitation, await getInviterName(inviter.id), expiresInDays);
+
+  logger.info(`Invitation created - ID: ${invitation.id}, email: ${email}, role: ${role.name}, by user ID: ${inviter.id}`);
+  recordAuditEvent(AUDIT_EVENTS.INVITATION_CREATED, {
+    context,
+    metadata: { invitationId: invitation.id, email, role: role.name }
+  });
+
+  return formatInvitation(await findInvitation(invitation.id));
+};
+
+export const findAndCountAll = async (filters = {}, sort = {}, pagination = {}, status = null) => {
+  const { limit, offset } = pagination;
+  const order = sort.field ? [[sort.field, sort.order]] : [['created_at', 'DESC']];
+
+  const { count, rows } = await Invitation.findAndCountAll({
+    where: { ...filters, ...(status && STATUS_CONDITIONS[status]()) },
+    include: INCLUDE_ROLE_AND_INVITER,
+    order,
+    limit,
+    offset
+  });
+
+  return {
+    items: rows.map(formatInvitation),
+    total: count
+  };
+};
+
+/**
+ * Email a new link for a pending or expired invitation
+ * The previous link stops working and the expiry starts over. The email still names the
+ * original inviter when their account exists.
+ * @param {number} id - Invitation ID
+ * @param {Object} sender - req.user of the admin resending it
+ * @param {number} expiresInDays - Lifetime of the new link
+ * @returns {Promise<Object>} - Invitation
+ */
+export const resendInvitation = async (id, sender, expiresInDays = INVITATION_EXPIRY_DAYS) => {
+  const invitation = await findInvitation(id);
+  const status = getStatus(invitation);
+
+  if (status === 'accepted' || status === 'revoked') {
+    throw new AppError(`Invitation has already been ${status}`, 400, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  const inviterName = invitation.inviter ? invitation.inviter.name : await getInviterName(sender.id);
+
+  await sendInvitation(invitation, inviterName, expiresInDays);
+
+  logger.info(`Invitation resent - ID: ${invitation.id}, email: ${invitation.email}, by user ID: ${sender.id}`);
+
+  return formatInvitation(invitation);
+};
+
+export const revokeInvitation = async (id, context = {}) => {
+  const invitation = await findInvitation(id);
+
+  if (invitation.accepted_at || invitation.revoked_at) {
+    throw new AppError(`Invitation has already been ${getStatus(invitation)}`, 400, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  await invitation.update({ revoked_at: new Date() });
+
+  logger.info(`Invitation revoked - ID: ${invitation.id}, email: ${invitation.email}`);
+  recordAuditEvent(AUDIT_EVENTS.INVITATION_REVOKED, {
+    context,
+    metadata: { invitationId: invitation.id, email: invitation.email }
+  });
+
+  return formatInvitation(invitation);
+};
+
+/**
+ * Find the pending invitation for a token from an invitation email
+ * @param {string} token - Plain invitation token
+ * @returns {Promise<Object|null>} - Invitation with its role, or null when invalid, expired, used or revoked
+ */
+export const findPendingInvitation = async (token) => {
+  return Invitation.findOne({
+    where: { token_hash: hashToken(token), ...STATUS_CONDITIONS.pending() },
+    include: [{ model: Role, as: 'role' }]
+  });
+};
+
+/**
+ * Mark an invitation accepted
+ * Conditional update so the same link can't create two accounts concurrently.
+ * @param {Object} invitation - Invitation from findPendingInvitation
+ * @returns {Promise<boolean>} - false when it was accepted or revoked in the meantime
+ */
+export const markInvitationAccepted = async (invitation) => {
+  const [updated] = await Invitation.update(
+    { accepted_at: new Date() },
+    { where: { id: invitation.id, accepted_at: null, revoked_at: null } }
+  );
+
+  return updated > 0;
+};
+
+export const linkAcceptedUser = async (invitation, userId) => {
+  await Invitation.update({ accepted_user_id: userId }, { where: { id: invitation.id } });
+};
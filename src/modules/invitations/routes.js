@@ -0,0 +1,176 @@
+import express from 'express';
+import {
+  createInvite, getInvites, resendInvite, revokeInvite
+} from './controller.js';
+import authMiddleware, { requireUser } from '../../middleware/authMiddleware.js';
+import { authorize } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import { paginate, sort, filter } from '../../middleware/queryHelpers.js';
+import {
+  createInvitationSchema, resendInvitationSchema, listInvitationsQuerySchema, idParamSchema
+} from './validation.js';
+
+const router = express.Router();
+
+// Admins, or any role granted invitations:manage (e.g. account owners); invitations need a user as inviter
+router.use(authMiddleware, requireUser, authorize('invitations:manage'));
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   post:
+ *     tags: [Invitations]
+ *     summary: Invite someone to create an account
+ *     description: |
+ *       Emails a single-use link to `FRONTEND_URL/accept-invite?token=...`; the invitee completes it at
+ *       `POST /api/auth/accept-invite`. `role` defaults to `DEFAULT_ROLE` and can only be a role whose
+ *       permissions the inviter holds. `expiresInDays` defaults to `INVITATION_EXPIRY_DAYS`.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: new.hire@example.com
+ *               role:
+ *                 type: string
+ *                 example: user
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 example: 7
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Validation error or unknown role
+ *       403:
+ *         description: Missing invitations:manage, or the role grants permissions the inviter lacks
+ *       409:
+ *         description: Email already registered or already invited
+ */
+router.post('/', validate(createInvitationSchema), createInvite);
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     tags: [Invitations]
+ *     summary: List invitations with pagination, sorting, and filtering
+ *     description: |
+ *       **Status:** `pending`, `accepted`, `revoked`, `expired`
+ *
+ *       **Available Filter Fields:**
+ *       - `email`, `role_id`, `invited_by`
+ *
+ *       **Available Sort Fields:**
+ *       - `created_at`, `expires_at`, `email`
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: filter[email][like]
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Paginated list of invitations
+ */
+router.get(
+  '/',
+  paginate,
+  sort(['created_at', 'expires_at', 'email']),
+  filter(['email', 'role_id', 'invited_by']),
+  validate(listInvitationsQuerySchema, 'query'),
+  getInvites
+);
+
+/**
+ * @swagger
+ * /api/invitations/{id}/resend:
+ *   post:
+ *     tags: [Invitations]
+ *     summary: Resend a pending or expired invitation
+ *     description: Emails a new link; the previous one stops working and the expiry starts over.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       400:
+ *         description: Invitation already accepted or revoked
+ *       404:
+ *         description: Invitation not found
+ */
+router.post('/:id/resend', validate(idParamSchema, 'params'), validate(resendInvitationSchema), resendInvite);
+
+/**
+ * @swagger
+ * /api/invitations/{id}:
+ *   delete:
+ *     tags: [Invitations]
+ *     summary: Revoke an invitation
+ *     description: The link stops working. Accepted invitations can't be revoked; manage the account instead.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invitation already accepted or revoked
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete('/:id', validate(idParamSchema, 'params'), revokeInvite);
+
+export default router;
@@ -0,0 +1,36 @@
+import Joi from 'joi';
+import { INVITATION_STATUSES } from './manager.js';
+
+const expiresInDays = Joi.number().integer().min(1).max(30).optional().messages({
+  'number.base': 'expiresInDays must be a number',
+  'number.min': 'expiresInDays must be at least 1',
+  'number.max': 'expiresInDays must not exceed 30'
+});
+
+export const createInvitationSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  }),
+  role: Joi.string().max(50).optional(),
+  expiresInDays
+});
+
+export const resendInvitationSchema = Joi.object({
+  expiresInDays
+});
+
+export const listInvitationsQuerySchema = Joi.object({
+  status: Joi.string().valid(...INVITATION_STATUSES).optional().messages({
+    'any.only': `Status must be one of: ${INVITATION_STATUSES.join(', ')}`
+  })
+});
+
+export const idParamSchema = Joi.object({
+  id: Joi.number().integer().positive().required().messages({
+    'number.base': 'ID must be a number',
+    'number.positive': 'ID must be a positive number',
+    'any.required': 'ID is required'
+  })
+});
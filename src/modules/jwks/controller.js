@@ -0,0 +1,11 @@
+import { catchAsync } from '../../middleware/errorHandler.js';
+import { getJwks } from '../../services/jwtService.js';
+
+// GET /.well-known/jwks.json - Public keys for verifying access tokens
+export const getKeys = catchAsync(async (req, res) => {
+  const jwks = await getJwks();
+
+  // Served as a bare JWKS document (not the usual { success, data } envelope) so standard JWT libraries can consume it
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(jwks);
+});
@@ -0,0 +1,30 @@
+import express from 'express';
+import { getKeys } from './controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Public keys for verifying access tokens (JWKS)
+ *     description: |
+ *       Lists every public key that can still verify access tokens, identified by `kid`.
+ *       Empty when tokens are signed with HS256 (`JWT_ALGORITHM` unset).
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ */
+router.get('/jwks.json', getKeys);
+
+export default router;
@@ -0,0 +1,33 @@
+import { createClient, listClients, deleteClient } from './manager.js';
+import { catchAsync } from '../../middleware/errorHandler.js';
+
+export const createOAuthClient = catchAsync(async (req, res) => {
+  const result = await createClient(req.user.id, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'OAuth client created. Copy the secret now - it will not be shown again',
+    data: {
+      ...result.client,
+      client_secret: result.clientSecret
+    }
+  });
+});
+
+export const getOAuthClients = catchAsync(async (req, res) => {
+  const clients = await listClients();
+
+  res.status(200).json({
+    success: true,
+    data: clients
+  });
+});
+
+export const deleteOAuthClient = catchAsync(async (req, res) => {
+  await deleteClient(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'OAuth client deleted successfully'
+  });
+});
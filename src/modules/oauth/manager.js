@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import db from '../../../database/models/index.js';
+import { AppError, COMMON_ERRORS } from '../../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+import { OAUTH_CLIENT_ID_PREFIX } from '../../config/auth.js';
+import { generateRandomToken, hashToken } from '../../services/tokenService.js';
+
+const { OAuthClient } = db;
+
+const CLIENT_ATTRIBUTES = ['id', 'client_id', 'name', 'scopes', 'created_by', 'last_used_at', 'created_at', 'updated_at'];
+
+// Skip the usage write when the client authenticated moments ago
+const USAGE_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Register an OAuth client for an internal service
+ * The plain secret is only returned here; the database keeps its hash.
+ * @param {number} createdBy - Admin user ID
+ * @param {Object} data - { name, scopes }
+ * @returns {Promise<Object>} - { client, clientSecret }
+ */
+export const createClient = async (createdBy, { name, scopes }) => {
+  const clientSecret = generateRandomToken();
+
+  const client = await OAuthClient.create({
+    client_id: `${OAUTH_CLIENT_ID_PREFIX}${generateRandomToken(12)}`,
+    name,
+    secret_hash: hashToken(clientSecret),
+    scopes,
+    created_by: createdBy
+  });
+
+  logger.info(`OAuth client created - client ID: ${client.client_id}, name: ${name}, by user ID: ${createdBy}`);
+
+  return {
+    client: {
+      id: client.id,
+      client_id: client.client_id,
+      name: client.name,
+      scopes: client.scopes,
+      created_at: client.created_at
+    },
+    clientSecret
+  };
+};
+
+export const listClients = async () => {
+  return OAuthClient.findAll({
+    order: [['created_at', 'DESC']],
+    attributes: CLIENT_ATTRIBUTES
+  });
+};
+
+// Tokens already issued to the client stay valid until they expire (OAUTH_TOKEN_EXPIRES_SECONDS)
+export const deleteClient = async (id) => {
+  const client = await OAuthClient.findByPk(id);
+
+  if (!client) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  await client.destroy();
+
+  logger.info(`OAuth client deleted - client ID: ${client.client_id}`);
+
+  return { success: true };
+};
+
+/**
+ * Check a client's credentials
+ * @param {string} clientId - Public client identifier
+ * @param {string} clientSecret - Plain client secret
+ * @returns {Promise<Object>} - OAuthClient instance; throws INVALID_CLIENT otherwise
+ */
+export const authenticateClient = async (clientId, clientSecret) => {
+  const client = clientId && clientSecret
+    ? await OAuthClient.findOne({ where: { client_id: clientId } })
+    : null;
+
+  const isValidSecret = client
+    && crypto.timingSafeEqual(Buffer.from(hashToken(clientSecret)), Buffer.from(client.secret_hash));
+
+  if (!isValidSecret) {
+    logger.warn(`OAuth client authentication failed - client ID: ${clientId}`);
+    throw new AppError(COMMON_ERRORS.INVALID_CLIENT);
+  }
+
+  const lastUsed = client.last_used_at ? new Date(client.last_used_at).getTime() : 0;
+
+  if (Date.now() - lastUsed > USAGE_UPDATE_INTERVAL_MS) {
+    // Track usage (non-blocking)
+    client.update({ last_used_at: new Date() }).catch(err => {
+      logger.error(`Failed to record OAuth client usage - client ID: ${client.client_id}: ${err.message}`);
+    });
+  }
+
+  return client;
+};
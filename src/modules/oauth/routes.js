@@ -0,0 +1,90 @@
+import express from 'express';
+import { createOAuthClient, getOAuthClients, deleteOAuthClient } from './controller.js';
+import authMiddleware, { requireSessionAuth, denyImpersonation } from '../../middleware/authMiddleware.js';
+import { authorize } from '../../middleware/authorize.js';
+import { validate } from '../../middleware/validate.js';
+import { createClientSchema, idParamSchema } from './validation.js';
+
+const router = express.Router();
+
+// Client registration is admin-only and needs a signed-in admin (no API keys or service tokens)
+router.use(authMiddleware, requireSessionAuth, denyImpersonation, authorize('oauth-clients:manage'));
+
+/**
+ * @swagger
+ * /api/oauth-clients:
+ *   post:
+ *     tags: [OAuth Clients]
+ *     summary: Register an OAuth client for an internal service
+ *     description: |
+ *       Returns the `client_id` and a `client_secret`; the secret is stored hashed and shown once.
+ *       The service exchanges them at `POST /api/auth/token` (client credentials grant) for an access
+ *       token limited to the client's scopes.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Billing service
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["users:read"]
+ *     responses:
+ *       201:
+ *         description: Client created (includes the plain secret)
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing oauth-clients:manage permission
+ */
+router.post('/', validate(createClientSchema), createOAuthClient);
+
+/**
+ * @swagger
+ * /api/oauth-clients:
+ *   get:
+ *     tags: [OAuth Clients]
+ *     summary: List registered OAuth clients
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Clients with their scopes and last use
+ */
+router.get('/', getOAuthClients);
+
+/**
+ * @swagger
+ * /api/oauth-clients/{id}:
+ *   delete:
+ *     tags: [OAuth Clients]
+ *     summary: Delete an OAuth client
+ *     description: The client can no longer get tokens; tokens already issued work until they expire.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Client deleted successfully
+ *       404:
+ *         description: Client not found
+ */
+router.delete('/:id', validate(idParamSchema, 'params'), deleteOAuthClient);
+
+export default router;
@@ -0,0 +1,28 @@
+import Joi from 'joi';
+
+export const createClientSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    'string.empty': 'Name is required',
+    'string.max': 'Name must not exceed 100 characters',
+    'any.required': 'Name is required'
+  }),
+  scopes: Joi.array()
+    .items(Joi.string().pattern(/^(\*|[a-z-]+:(\*|[a-z-]+))$/).messages({
+      'string.pattern.base': 'Scopes must look like resource:action, resource:* or *'
+    }))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'Scopes must contain at least one entry',
+      'any.required': 'Scopes are required'
+    })
+});
+
+export const idParamSchema = Joi.object({
+  id: Joi.number().integer().positive().required().messages({
+    'number.base': 'ID must be a number',
+    'number.positive': 'ID must be a positive number',
+    'any.required': 'ID is required'
+  })
+});
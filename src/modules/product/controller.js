@@ -1,9 +1,9 @@
-import { findAll, findAndCountAll, findByPk, createOne, updateOne, deleteOne } from './manager.js';
+import { findAll, findAndCountAll, findByPk, createOne, updateOne, deleteOne, restoreOne } from './manager.js';
 import { catchAsync } from '../../middleware/errorHandler.js';
 import logger from '../../config/logger.js';
 
 export const getAllPaginated = catchAsync(async (req, res) => {
-  const { items, total } = await findAndCountAll(req.filters || {}, req.sort || {}, req.pagination || {});
+  const { items, total } = await findAndCountAll(req.filters || {}, req.sort || {}, req.pagination || {}, { paranoid: req.paranoid });
 
   res.status(200).json({
     success: true,
@@ -13,7 +13,7 @@ export const getAllPaginated = catchAsync(async (req, res) => {
 });
 
 export const getAll = catchAsync(async (req, res) => {
-  const items = await findAll(req.filters || {}, req.sort || {});
+  const items = await findAll(req.filters || {}, req.sort || {}, { paranoid: req.paranoid });
 
   res.status(200).json({
     success: true,
@@ -23,7 +23,7 @@ export const getAll = catchAsync(async (req, res) => {
 
 export const getById = catchAsync(async (req, res) => {
   const { id } = req.params;
-  const item = await findByPk(id);
+  const item = await findByPk(id, { paranoid: req.paranoid });
 
   res.status(200).json({
     success: true,
@@ -64,3 +64,15 @@ export const deleteProduct = catchAsync(async (req, res) => {
     message: 'Product deleted successfully'
   });
 });
+
+export const restore = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const item = await restoreOne(id);
+  logger.info(`Product restored: ${id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Product restored successfully',
+    data: item
+  });
+});
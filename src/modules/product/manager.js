@@ -1,20 +1,22 @@
 import db from '../../../database/models/index.js';
-import { AppError, COMMON_ERRORS } from '../../middleware/errorHandler.js';
+import { AppError, COMMON_ERRORS, ERROR_CODES } from '../../middleware/errorHandler.js';
 
 const { Product } = db;
 
-export const findAll = async (filters = {}, sort = {}) => {
+// Soft-deleted products are left out unless options.paranoid is false (see withDeleted middleware)
+export const findAll = async (filters = {}, sort = {}, options = {}) => {
   const order = sort.field ? [[sort.field, sort.order]] : [['created_at', 'DESC']];
 
   const items = await Product.findAll({
     where: filters,
-    order
+    order,
+    paranoid: options.paranoid !== false
   });
   
   return items;
 };
 
-export const findAndCountAll = async (filters = {}, sort = {}, pagination = {}) => {
+export const findAndCountAll = async (filters = {}, sort = {}, pagination = {}, options = {}) => {
   const { limit, offset } = pagination;
   const order = sort.field ? [[sort.field, sort.order]] : [['created_at', 'DESC']];
 
@@ -22,7 +24,8 @@ export const findAndCountAll = async (filters = {}, sort = {}, pagination = {})
     where: filters,
     order,
     limit,
-    offset
+    offset,
+    paranoid: options.paranoid !== false
   });
 
   return {
@@ -31,8 +34,8 @@ export const findAndCountAll = async (filters = {}, sort = {}, pagination = {})
   };
 };
 
-export const findByPk = async (id) => {
-  const item = await Product.findByPk(id);
+export const findByPk = async (id, options = {}) => {
+  const item = await Product.findByPk(id, { paranoid: options.paranoid !== false });
 
   if (!item) {
     throw new AppError(COMMON_ERRORS.NOT_FOUND);
@@ -67,3 +70,18 @@ export const deleteOne = async (id) => {
   await item.destroy();
   return { success: true };
 };
+
+export const restoreOne = async (id) => {
+  const item = await Product.findByPk(id, { paranoid: false });
+
+  if (!item) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  if (!item.deleted_at) {
+    throw new AppError('Product is not deleted', 400, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  await item.restore();
+  return findByPk(id);
+};
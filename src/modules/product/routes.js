@@ -1,8 +1,9 @@
 import express from 'express';
-import { getAllPaginated, getAll, getById, create, update, deleteProduct } from './controller.js';
-// import authMiddleware from '../../middleware/authMiddleware.js';
+import { getAllPaginated, getAll, getById, create, update, deleteProduct, restore } from './controller.js';
+import authMiddleware from '../../middleware/authMiddleware.js';
+import { authorize } from '../../middleware/authorize.js';
 import { validate } from '../../middleware/validate.js';
-import { paginate, sort, filter } from '../../middleware/queryHelpers.js';
+import { paginate, sort, filter, withDeleted } from '../../middleware/queryHelpers.js';
 import { createProductSchema, updateProductSchema, idParamSchema } from './validation.js';
 
 const router = express.Router();
@@ -10,6 +11,11 @@ const router = express.Router();
 // All routes require authentication
 // router.use(authMiddleware);
 
+// Listing stays public; only ?withDeleted=true needs a signed-in caller
+const authIfWithDeleted = (req, res, next) => (
+  req.query.withDeleted === 'true' ? authMiddleware(req, res, next) : next()
+);
+
 /**
  * @swagger
  * /api/products:
@@ -64,6 +70,11 @@ const router = express.Router();
  *           type: string
  *           enum: [asc, desc]
  *       - in: query
+ *         name: withDeleted
+ *         description: Include soft-deleted products (requires products:restore)
+ *         schema:
+ *           type: boolean
+ *       - in: query
  *         name: filter[user_id]
  *         schema:
  *           type: integer
@@ -82,6 +93,8 @@ router.get(
   paginate,
   sort(['name', 'price', 'created_at', 'updated_at']),
   filter(['name', 'price', 'description', 'user_id', 'stock']),
+  authIfWithDeleted,
+  withDeleted('products:restore'),
   getAllPaginated
 );
 
@@ -129,6 +142,11 @@ router.get(
  *           type: string
  *           enum: [asc, desc]
  *       - in: query
+ *         name: withDeleted
+ *         description: Include soft-deleted products (requires products:restore)
+ *         schema:
+ *           type: boolean
+ *       - in: query
  *         name: filter[user_id]
  *         schema:
  *           type: integer
@@ -146,6 +164,8 @@ router.get(
   '/all',
   sort(['name', 'price', 'created_at', 'updated_at']),
   filter(['name', 'price', 'description', 'user_id', 'stock']),
+  authIfWithDeleted,
+  withDeleted('products:restore'),
   getAll
 );
 
@@ -163,13 +183,18 @@ router.get(
  *         required: true
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: withDeleted
+ *         description: Include soft-deleted products (requires products:restore)
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: Product details
  *       404:
  *         description: Product not found
  */
-router.get('/:id', validate(idParamSchema, 'params'), getById);
+router.get('/:id', validate(idParamSchema, 'params'), authIfWithDeleted, withDeleted('products:restore'), getById);
 
 /**
  * @swagger
@@ -256,6 +281,7 @@ router.put('/:id', validate(idParamSchema, 'params'), validate(updateProductSche
  *   delete:
  *     tags: [Products]
  *     summary: Delete a product
+ *     description: Soft delete - the product is hidden until restored or purged after the retention period
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -272,4 +298,31 @@ router.put('/:id', validate(idParamSchema, 'params'), validate(updateProductSche
  */
 router.delete('/:id', validate(idParamSchema, 'params'), deleteProduct);
 
+/**
+ * @swagger
+ * /api/products/{id}/restore:
+ *   post:
+ *     tags: [Products]
+ *     summary: Restore a soft-deleted product
+ *     description: Requires the `products:restore` permission
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Product restored successfully
+ *       400:
+ *         description: Product is not deleted
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Product not found
+ */
+router.post('/:id/restore', authMiddleware, authorize('products:restore'), validate(idParamSchema, 'params'), restore);
+
 export default router;
@@ -1,9 +1,15 @@
-import { findAll, findAndCountAll,findByPk, updateOne, deleteOne } from './manager.js';
-import { catchAsync } from '../../middleware/errorHandler.js';
+import {
+  findAll, findAndCountAll, findByPk, createOne, updateOne, deleteOne, restoreOne, setRoles, forceSignOut,
+  suspendUser, reactivateUser, unlockUser, getProfile, updateProfile, setAvatar, removeAvatar
+} from './manager.js';
+import { requestDataExport, scheduleErasure, cancelErasure } from './privacyManager.js';
+import { getUserSettings, updateUserSettings } from '../../services/settingsService.js';
+import { catchAsync, AppError, ERROR_CODES } from '../../middleware/errorHandler.js';
 import logger from '../../config/logger.js';
+import { getRequestContext } from '../../middleware/requestId.js';
 
 export const getAllUsersPaginated = catchAsync(async (req, res) => {
-  const { items, total } = await findAll(req.filters || {}, req.sort || {}, req.pagination || {});
+  const { items, total } = await findAndCountAll(req.filters || {}, req.sort || {}, req.pagination || {}, { paranoid: req.paranoid });
   res.status(200).json({
     success: true,
     data: items,
@@ -12,7 +18,7 @@ export const getAllUsersPaginated = catchAsync(async (req, res) => {
 });
 
 export const getAllUsers = catchAsync(async (req, res) => {
-  const users = await findAndCountAll(req.filters || {}, req.sort || {});
+  const users = await findAll(req.filters || {}, req.sort || {}, { paranoid: req.paranoid });
 
   res.status(200).json({
     success: true,
@@ -22,7 +28,7 @@ export const getAllUsers = catchAsync(async (req, res) => {
 
 export const getUserById = catchAsync(async (req, res) => {
   const { id } = req.params;
-  const user = await findByPk(id);
+  const user = await findByPk(id, { paranoid: req.paranoid });
 
   res.status(200).json({
     success: true,
@@ -30,8 +36,37 @@ export const getUserById = catchAsync(async (req, res) => {
   });
 });
 
+export const createUser = catchAsync(async (req, res) => {
+  const user = await createOne(req.user, req.body, getRequestContext(req));
+  logger.info(`User created: ${user.id} by user ID: ${req.user.id}`);
+
+  res.status(201).json({
+    success: true,
+    message: req.body.sendInvite
+      ? `User created. A link to set their password was sent to ${user.email}`
+      : 'User created successfully',
+    data: user
+  });
+});
+
+const sendProfile = (res, user) => res.status(200).json({
+  success: true,
+  message: user.pending_email
+    ? `Profile updated. Check ${user.pending_email} to confirm the new email address`
+    : 'Profile updated successfully',
+  data: user
+});
+
 export const updateUser = catchAsync(async (req, res) => {
   const { id } = req.params;
+
+  // Users editing themselves go through the same email re-verification as PATCH /me
+  if (id === req.user.id) {
+    const user = await updateProfile(id, req.body);
+    logger.info(`Profile updated: ${id}`);
+    return sendProfile(res, user);
+  }
+
   const user = await updateOne(id, req.body);
   logger.info(`User updated: ${id}`);
 
@@ -44,6 +79,12 @@ export const updateUser = catchAsync(async (req, res) => {
 
 export const deleteUser = catchAsync(async (req, res) => {
   const { id } = req.params;
+
+  // Same restrictions as DELETE /me when users delete themselves
+  if (id === req.user.id && (req.user.apiKeyId || req.user.act)) {
+    throw new AppError('Deleting your own account requires a signed-in session', 403, true, ERROR_CODES.FORBIDDEN);
+  }
+
   await deleteOne(id);
   logger.info(`User deleted: ${id}`);
 
@@ -52,3 +93,180 @@ export const deleteUser = catchAsync(async (req, res) => {
     message: 'User deleted successfully'
   });
 });
+
+export const restoreUser = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const user = await restoreOne(id);
+  logger.info(`User restored: ${id} by user ID: ${req.user.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'User restored successfully',
+    data: user
+  });
+});
+
+export const uploadUserAvatar = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const user = await setAvatar(id, req.files && req.files.avatar);
+  logger.info(`User avatar updated: ${id} by user ID: ${req.user.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Avatar updated successfully',
+    data: user
+  });
+});
+
+export const deleteUserAvatar = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const user = await removeAvatar(id);
+  logger.info(`User avatar removed: ${id} by user ID: ${req.user.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Avatar removed successfully',
+    data: user
+  });
+});
+
+export const getMe = catchAsync(async (req, res) => {
+  const user = await getProfile(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+export const updateMe = catchAsync(async (req, res) => {
+  const user = await updateProfile(req.user.id, req.body);
+  logger.info(`Profile updated: ${req.user.id}`);
+
+  sendProfile(res, user);
+});
+
+export const deleteMe = catchAsync(async (req, res) => {
+  await deleteOne(req.user.id);
+  logger.info(`Account deleted by its owner: ${req.user.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Account deleted successfully'
+  });
+});
+
+export const getMySettings = catchAsync(async (req, res) => {
+  const settings = await getUserSettings(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: settings
+  });
+});
+
+export const updateMySettings = catchAsync(async (req, res) => {
+  const settings = await updateUserSettings(req.user.id, req.body);
+  logger.info(`Settings updated: ${req.user.id} - keys: ${Object.keys(req.body).join(', ')}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Settings updated successfully',
+    data: settings
+  });
+});
+
+export const exportMyData = catchAsync(async (req, res) => {
+  const result = await requestDataExport(req.user.id, getRequestContext(req));
+
+  res.status(202).json({
+    success: true,
+    message: 'Your data export is being prepared. A download link will be emailed to you',
+    data: result
+  });
+});
+
+export const requestMyErasure = catchAsync(async (req, res) => {
+  const result = await scheduleErasure(req.user.id, getRequestContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: `Your account will be erased on ${result.erasure_scheduled_at.toUTCString()}. You can cancel until then`,
+    data: result
+  });
+});
+
+export const cancelMyErasure = catchAsync(async (req, res) => {
+  const result = await cancelErasure(req.user.id, getRequestContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Account erasure cancelled',
+    data: result
+  });
+});
+
+export const updateUserRoles = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const user = await setRoles(req.user, id, req.body.roles, getRequestContext(req));
+  logger.info(`User roles updated: ${id} - roles: ${user.roles.join(', ')} - by user ID: ${req.user.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'User roles updated successfully',
+    data: user
+  });
+});
+
+export const forceSignOutUser = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const result = await forceSignOut(id, getRequestContext(req));
+  logger.info(`User force signed out: ${id} - sessions: ${result.sessionsRevoked} - by user ID: ${req.user.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'User signed out from all sessions',
+    data: result
+  });
+});
+
+export const suspendUserAccount = catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  if (id === req.user.id) {
+    throw new AppError('You cannot suspend your own account', 400, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  const status = await suspendUser(id, req.body.reason, getRequestContext(req));
+  logger.info(`User suspended: ${id} by user ID: ${req.user.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'User suspended and signed out from all sessions',
+    data: status
+  });
+});
+
+export const reactivateUserAccount = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const status = await reactivateUser(id, getRequestContext(req));
+  logger.info(`User reactivated: ${id} by user ID: ${req.user.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'User reactivated successfully',
+    data: status
+  });
+});
+
+export const unlockUserAccount = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const status = await unlockUser(id, getRequestContext(req));
+  logger.info(`User unlocked: ${id} by user ID: ${req.user.id}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'User unlocked successfully',
+    data: status
+  });
+});
@@ -1,20 +1,74 @@
 import db from '../../../database/models/index.js';
-import { AppError, COMMON_ERRORS } from '../../middleware/errorHandler.js';
+import { AppError, COMMON_ERRORS, ERROR_CODES } from '../../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+import { hasPermission } from '../../middleware/authorize.js';
+import {
+  EMAIL_VERIFICATION_EXPIRY_MS, ACCOUNT_SETUP_EXPIRY_MS, DEFAULT_ROLE, AVATAR_MAX_BYTES
+} from '../../config/auth.js';
+import emailService from '../../services/emailService.js';
+import { generateRandomToken, hashToken } from '../../services/tokenService.js';
+import { hashNewPassword } from '../../services/passwordPolicyService.js';
+import { revokeAllSessions } from '../auth/sessionManager.js';
+import { issueVerificationToken } from '../auth/manager.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../../services/auditService.js';
+import { uploadToS3, getPresignedUrl, deleteFromS3 } from '../../services/s3Service.js';
 
-const { User } = db;
+const { User, Role } = db;
 
-export const findAll = async (filters = {}, sort = {}) => {
+const PROFILE_ATTRIBUTES = [
+  'id', 'email', 'name', 'avatar_key', 'email_verified_at', 'pending_email', 'mfa_enabled_at', 'erasure_scheduled_at',
+  'created_at', 'updated_at'
+];
+
+const USER_ATTRIBUTES = ['id', 'email', 'name', 'avatar_key', 'suspended_at', 'account_locked_until', 'created_at', 'deleted_at'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AVATAR_FOLDER = 'avatars';
+
+// No SVG: it can carry scripts. Types are detected from the file's leading bytes; the client's mimetype is ignored.
+const AVATAR_SIGNATURES = [
+  { mimetype: 'image/jpeg', parts: [[0, Buffer.from([0xff, 0xd8, 0xff])]] },
+  { mimetype: 'image/png', parts: [[0, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])]] },
+  { mimetype: 'image/gif', parts: [[0, Buffer.from('GIF87a')]] },
+  { mimetype: 'image/gif', parts: [[0, Buffer.from('GIF89a')]] },
+  { mimetype: 'image/webp', parts: [[0, Buffer.from('RIFF')], [8, Buffer.from('WEBP')]] }
+];
+
+const AVATAR_MIME_TYPES = [...new Set(AVATAR_SIGNATURES.map(({ mimetype }) => mimetype))];
+
+const detectImageType = (data) => {
+  const signature = AVATAR_SIGNATURES.find(({ parts }) => parts.every(
+    ([offset, bytes]) => data.subarray(offset, offset + bytes.length).equals(bytes)
+  ));
+
+  return signature ? signature.mimetype : null;
+};
+
+// Avatars are private objects; responses carry a presigned URL (valid 1 hour) instead of the S3 key
+const withAvatarUrl = async (user) => {
+  const { avatar_key: avatarKey, ...data } = user.toJSON();
+
+  return {
+    ...data,
+    avatar_url: avatarKey ? await getPresignedUrl(avatarKey) : null
+  };
+};
+
+// Soft-deleted users are left out unless options.paranoid is false (see withDeleted middleware)
+export const findAll = async (filters = {}, sort = {}, options = {}) => {
   const order = sort.field ? [[sort.field, sort.order]] : [['created_at', 'DESC']];
 
   const users = await User.findAll({
     where: filters,
     order,
-    attributes: ['id', 'email', 'name', 'created_at']
+    attributes: USER_ATTRIBUTES,
+    paranoid: options.paranoid !== false
   });
-  return users;
+  return Promise.all(users.map(withAvatarUrl));
 };
 
-export const findAndCountAll = async (filters = {}, sort = {}, pagination = {}) => {
+export const findAndCountAll = async (filters = {}, sort = {}, pagination = {}, options = {}) => {
   const { limit, offset } = pagination;
   const order = sort.field ? [[sort.field, sort.order]] : [['created_at', 'DESC']];
 
@@ -23,25 +77,120 @@ export const findAndCountAll = async (filters = {}, sort = {}, pagination = {})
     order,
     limit,
     offset,
-    attributes: ['id', 'email', 'name', 'created_at']
+    attributes: USER_ATTRIBUTES,
+    paranoid: options.paranoid !== false
   });
 
   return {
-    items: rows,
+    items: await Promise.all(rows.map(withAvatarUrl)),
     total: count
   };
 };
 
-export const findByPk = async (userId) => {
+export const findByPk = async (userId, options = {}) => {
   const user = await User.findByPk(userId, {
-    attributes: ['id', 'email', 'name', 'created_at']
+    attributes: USER_ATTRIBUTES,
+    paranoid: options.paranoid !== false
   });
 
   if (!user) {
     throw new AppError(COMMON_ERRORS.NOT_FOUND);
   }
 
-  return user;
+  return withAvatarUrl(user);
+};
+
+// Look up roles by name, rejecting any that don't exist
+const findRoles = async (roleNames) => {
+  const roles = await Role.findAll({ where: { name: roleNames } });
+
+  if (roles.length !== roleNames.length) {
+    const found = roles.map((role) => role.name);
+    const unknown = roleNames.filter((name) => !found.includes(name));
+    throw new AppError(`Unknown roles: ${unknown.join(', ')}`, 400, true, ERROR_CODES.VALIDATION_ERROR);
+  }
+
+  return roles;
+};
+
+// Admins can only hand out roles whose permissions they hold themselves (same rule as invitations)
+const assertCanGrantRoles = (grantor, roles) => {
+  const denied = roles.filter((role) => (role.permissions || [])
+    .some((permission) => !hasPermission(grantor.permissions || [], permission)));
+
+  if (denied.length > 0) {
+    throw new AppError(
+      `You cannot assign the ${denied.map((role) => role.name).join(', ')} role`,
+      403,
+      true,
+      ERROR_CODES.FORBIDDEN
+    );
+  }
+};
+
+/**
+ * Create a user on an admin's behalf
+ * With sendInvite the account has no password; the user gets a set-password link
+ * (ACCOUNT_SETUP_EXPIRY_DAYS) that completes through the password reset endpoint.
+ * Otherwise the password is set directly and a verification email is sent.
+ * @param {Object} creator - req.user of the admin; roles need permissions they hold themselves
+ * @param {Object} data - { name, email, password, sendInvite, roles }
+ * @param {Object} context - Request context, recorded in the audit log
+ * @returns {Promise<Object>} - Created user with role names
+ */
+export const createOne = async (creator, {
+  name, email, password, sendInvite, roles: roleNames
+}, context = {}) => {
+  // Soft-deleted accounts keep their email until purged
+  const existingUser = await User.findOne({ where: { email }, paranoid: false });
+
+  if (existingUser) {
+    throw new AppError('Email is already in use', 409, true, ERROR_CODES.DUPLICATE_ENTRY);
+  }
+
+  const roles = roleNames
+    ? await findRoles(roleNames)
+    : await Role.findAll({ where: { name: DEFAULT_ROLE } });
+
+  assertCanGrantRoles(creator, roles);
+
+  const setupToken = sendInvite ? generateRandomToken() : null;
+
+  const user = await User.create({
+    name,
+    email,
+    ...(password && await hashNewPassword(password)),
+    ...(setupToken && {
+      password_reset_token: hashToken(setupToken),
+      password_reset_expires: new Date(Date.now() + ACCOUNT_SETUP_EXPIRY_MS)
+    })
+  });
+
+  await user.setRoles(roles);
+
+  if (setupToken) {
+    // Send set-password email (non-blocking)
+    emailService.sendAccountSetupEmail(user, setupToken, Math.round(ACCOUNT_SETUP_EXPIRY_MS / DAY_MS)).catch(err => {
+      logger.error(`Failed to send account setup email to ${user.email}: ${err.message}`);
+    });
+  } else {
+    await issueVerificationToken(user);
+  }
+
+  logger.info(`User created - user ID: ${user.id}, email: ${user.email}, invite: ${Boolean(sendInvite)}`);
+  recordAuditEvent(AUDIT_EVENTS.USER_CREATED, {
+    targetId: user.id,
+    context,
+    metadata: { roles: roles.map((role) => role.name), invite: Boolean(sendInvite) }
+  });
+
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    roles: roles.map((role) => role.name),
+    created_at: user.created_at
+  };
 };
 
 export const updateOne = async (userId, data) => {
@@ -73,7 +222,336 @@ export const deleteOne = async (userId) => {
     throw new AppError(COMMON_ERRORS.NOT_FOUND);
   }
 
+  // Soft delete keeps the row, so end its sessions and block access tokens already issued to it
+  await revokeAllSessions(user.id);
   await user.destroy();
 
   return { success: true };
 };
+
+/**
+ * Bring back a soft-deleted user
+ * Sessions revoked on delete stay revoked; the user signs in again.
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} - Restored user
+ */
+export const restoreOne = async (userId) => {
+  const user = await User.findByPk(userId, { paranoid: false });
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  if (!user.deleted_at) {
+    throw new AppError('User is not deleted', 400, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  await user.restore();
+
+  logger.info(`User restored - user ID: ${user.id}`);
+
+  return findByPk(userId);
+};
+
+/**
+ * The signed-in user's own profile
+ * @param {number} userId - User ID from the access token
+ * @returns {Promise<Object>} - Profile with role names
+ */
+export const getProfile = async (userId) => {
+  const user = await User.findByPk(userId, {
+    attributes: PROFILE_ATTRIBUTES,
+    include: [{ model: Role, as: 'roles', attributes: ['name'], through: { attributes: [] } }]
+  });
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  const { roles, ...profile } = await withAvatarUrl(user);
+
+  return {
+    ...profile,
+    roles: roles.map((role) => role.name)
+  };
+};
+
+// Hold the new address until it is verified; requesting another change replaces the pending one
+const requestEmailChange = async (user, email) => {
+  // Soft-deleted accounts keep their email until purged
+  const existingUser = await User.findOne({ where: { email }, paranoid: false });
+
+  if (existingUser) {
+    throw new AppError('Email is already in use', 409, true, ERROR_CODES.DUPLICATE_ENTRY);
+  }
+
+  const changeToken = generateRandomToken();
+
+  await user.update({
+    pending_email: email,
+    email_change_token: hashToken(changeToken),
+    email_change_expires: new Date(Date.now() + EMAIL_VERIFICATION_EXPIRY_MS)
+  });
+
+  // Verification link goes to the new address (non-blocking)
+  emailService.sendVerificationEmail({ name: user.name, email }, changeToken).catch(err => {
+    logger.error(`Failed to send email change verification to ${email}: ${err.message}`);
+  });
+
+  logger.info(`Email change requested - user ID: ${user.id}, new email: ${email}`);
+};
+
+/**
+ * Update the signed-in user's own profile
+ * A new email only takes effect once the link sent to it is opened (see auth verifyEmail).
+ * @param {number} userId - User ID from the access token
+ * @param {Object} data - { name, email }
+ * @returns {Promise<Object>} - Updated profile
+ */
+export const updateProfile = async (userId, { name, email }) => {
+  const user = await User.findByPk(userId);
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  if (name) {
+    await user.update({ name });
+  }
+
+  if (email && email !== user.email) {
+    await requestEmailChange(user, email);
+  } else if (email && user.pending_email) {
+    // Changing back to the current address cancels the pending change
+    await user.update({
+      pending_email: null,
+      email_change_token: null,
+      email_change_expires: null
+    });
+  }
+
+  return getProfile(userId);
+};
+
+/**
+ * Replace a user's roles
+ * @param {Object} grantor - req.user of the caller; roles need permissions they hold themselves
+ * @param {number} userId - User ID
+ * @param {Array<string>} roleNames - Role names to assign
+ * @param {Object} context - Request context, recorded in the audit log
+ */
+export const setRoles = async (grantor, userId, roleNames, context = {}) => {
+  const user = await User.findByPk(userId, {
+    include: [{ model: Role, as: 'roles' }]
+  });
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  const roles = await findRoles(roleNames);
+
+  assertCanGrantRoles(grantor, roles);
+
+  const previousRoles = user.roles.map((role) => role.name);
+
+  await user.setRoles(roles);
+
+  recordAuditEvent(AUDIT_EVENTS.ROLE_CHANGE, {
+    targetId: user.id,
+    context,
+    metadata: { from: previousRoles, to: roles.map((role) => role.name) }
+  });
+
+  return {
+    id: user.id,
+    email: user.email,
+    roles: roles.map((role) => role.name)
+  };
+};
+
+/**
+ * Sign a user out everywhere
+ * @param {number} userId - User ID
+ * @param {Object} context - Request context, recorded in the audit log
+ * @returns {Promise<Object>} - { sessionsRevoked }
+ */
+export const forceSignOut = async (userId, context = {}) => {
+  const user = await User.findByPk(userId);
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  // Ends every session and blocks the access tokens already issued for them
+  const sessionsRevoked = await revokeAllSessions(user.id);
+
+  recordAuditEvent(AUDIT_EVENTS.FORCE_SIGN_OUT, {
+    targetId: user.id,
+    context,
+    metadata: { sessionsRevoked }
+  });
+
+  return { sessionsRevoked };
+};
+
+const getAccountStatus = (user) => ({
+  id: user.id,
+  email: user.email,
+  suspended_at: user.suspended_at,
+  suspension_reason: user.suspension_reason,
+  failed_login_attempts: user.failed_login_attempts,
+  account_locked_until: user.account_locked_until
+});
+
+/**
+ * Suspend an account
+ * Signs the user out everywhere; sign-in and their API keys are refused until reactivated.
+ * @param {number} userId - User ID
+ * @param {string} reason - Optional note kept with the account
+ * @param {Object} context - Request context, recorded in the audit log
+ * @returns {Promise<Object>} - Account status
+ */
+export const suspendUser = async (userId, reason, context = {}) => {
+  const user = await User.findByPk(userId);
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  if (user.suspended_at) {
+    throw new AppError('User is already suspended', 400, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  await user.update({
+    suspended_at: new Date(),
+    suspension_reason: reason || null
+  });
+
+  const sessionsRevoked = await revokeAllSessions(user.id);
+
+  logger.info(`User suspended - user ID: ${user.id}, sessions revoked: ${sessionsRevoked}`);
+  recordAuditEvent(AUDIT_EVENTS.ACCOUNT_SUSPENDED, {
+    targetId: user.id,
+    context,
+    metadata: { reason: reason || null, sessionsRevoked }
+  });
+
+  return getAccountStatus(user);
+};
+
+export const reactivateUser = async (userId, context = {}) => {
+  const user = await User.findByPk(userId);
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  if (!user.suspended_at) {
+    throw new AppError('User is not suspended', 400, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  await user.update({
+    suspended_at: null,
+    suspension_reason: null
+  });
+
+  logger.info(`User reactivated - user ID: ${user.id}`);
+  recordAuditEvent(AUDIT_EVENTS.ACCOUNT_REACTIVATED, {
+    targetId: user.id,
+    context
+  });
+
+  return getAccountStatus(user);
+};
+
+// Clear a lockout from failed sign-in attempts, including the progressive backoff count
+export const unlockUser = async (userId, context = {}) => {
+  const user = await User.findByPk(userId);
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  const wasLocked = Boolean(user.account_locked_until && new Date(user.account_locked_until) > new Date());
+
+  await user.update({
+    failed_login_attempts: 0,
+    lockout_count: 0,
+    account_locked_until: null
+  });
+
+  logger.info(`User unlocked - user ID: ${user.id}, was locked: ${wasLocked}`);
+  recordAuditEvent(AUDIT_EVENTS.ACCOUNT_UNLOCKED, {
+    targetId: user.id,
+    context,
+    metadata: { wasLocked }
+  });
+
+  return getAccountStatus(user);
+};
+
+/**
+ * Replace a user's avatar
+ * The image is stored privately in S3 and the previous one is deleted.
+ * @param {number} userId - User ID
+ * @param {Object} file - Uploaded file from express-fileupload (req.files.avatar)
+ * @returns {Promise<Object>} - User with the new avatar_url
+ */
+export const setAvatar = async (userId, file) => {
+  const user = await User.findByPk(userId);
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  if (!file || Array.isArray(file)) {
+    throw new AppError('Upload a single image in the avatar field', 400, true, ERROR_CODES.VALIDATION_ERROR);
+  }
+
+  // express-fileupload truncates files over its size limit instead of rejecting them
+  if (file.truncated) {
+    throw new AppError(`Avatar must not exceed ${AVATAR_MAX_BYTES / 1024}KB`, 413, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  const mimetype = Buffer.isBuffer(file.data) ? detectImageType(file.data) : null;
+
+  if (!mimetype) {
+    throw new AppError('Avatar must be a JPEG, PNG, GIF or WebP image', 400, true, ERROR_CODES.VALIDATION_ERROR);
+  }
+
+  const { key } = await uploadToS3({ ...file, mimetype }, `${AVATAR_FOLDER}/${user.id}`, false, AVATAR_MIME_TYPES);
+
+  const previousKey = user.avatar_key;
+  await user.update({ avatar_key: key });
+
+  if (previousKey) {
+    // Remove the replaced image (non-blocking)
+    deleteFromS3(previousKey).catch(err => {
+      logger.error(`Failed to delete previous avatar ${previousKey}: ${err.message}`);
+    });
+  }
+
+  logger.info(`Avatar updated - user ID: ${user.id}, key: ${key}`);
+
+  return findByPk(userId);
+};
+
+export const removeAvatar = async (userId) => {
+  const user = await User.findByPk(userId);
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  if (!user.avatar_key) {
+    throw new AppError('User has no avatar', 400, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  await deleteFromS3(user.avatar_key);
+  await user.update({ avatar_key: null });
+
+  logger.info(`Avatar removed - user ID: ${user.id}`);
+
+  return findByPk(userId);
+};
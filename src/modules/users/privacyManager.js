@@ -0,0 +1,320 @@
+import { Op, fn, col, where as whereClause } from 'sequelize';
+import db from '../../../database/models/index.js';
+import { AppError, COMMON_ERRORS, ERROR_CODES } from '../../middleware/errorHandler.js';
+import logger from '../../config/logger.js';
+import { DATA_EXPORT_LINK_EXPIRY_HOURS, DATA_EXPORT_COOLDOWN_MS, ERASURE_GRACE_DAYS } from '../../config/auth.js';
+import emailService from '../../services/emailService.js';
+import { uploadToS3, getPresignedUrl, deleteFromS3 } from '../../services/s3Service.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../../services/auditService.js';
+import { revokeAllSessions } from '../auth/sessionManager.js';
+
+const {
+  User, Role, UserRole, Product, Session, KnownDevice, UserIdentity, ApiKey, AuditEvent, Invitation,
+  MfaRecoveryCode, PasswordHistory
+} = db;
+
+/**
+ * Personal data: exports (right of access) and erasure (right to be forgotten)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPORT_FOLDER = 'exports';
+
+// Everything on the user row except secrets and one-time tokens
+const EXPORT_PROFILE_ATTRIBUTES = [
+  'id', 'email', 'name', 'email_verified_at', 'pending_email', 'password_changed_at', 'mfa_enabled_at',
+  'avatar_key', 'settings', 'suspended_at', 'suspension_reason', 'erasure_scheduled_at', 'created_at', 'updated_at', 'deleted_at'
+];
+
+const findUser = async (userId) => {
+  const user = await User.findByPk(userId);
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  return user;
+};
+
+const involvesUser = (userId) => ({ [Op.or]: [{ actor_id: userId }, { target_id: userId }] });
+
+// Audit rows that carry one of these addresses in metadata.email, whoever they are linked to
+// (failed sign-ins with an unknown email and invitations have no target user)
+const mentionsEmail = (emails) => whereClause(
+  fn('LOWER', fn('JSON_UNQUOTE', fn('JSON_EXTRACT', col('metadata'), '$.email'))),
+  { [Op.in]: emails }
+);
+
+/**
+ * Gather everything held about a user
+ * Secrets (password and token hashes, MFA secret, API key hashes) are left out.
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} - Export document
+ */
+export const collectUserData = async (userId) => {
+  const where = { user_id: userId };
+
+  const [user, products, sessions, knownDevices, identities, apiKeys, auditEvents] = await Promise.all([
+    User.findByPk(userId, {
+      attributes: EXPORT_PROFILE_ATTRIBUTES,
+      include: [{ model: Role, as: 'roles', attributes: ['name'], through: { attributes: [] } }],
+      paranoid: false
+    }),
+    Product.findAll({
+      where,
+      attributes: ['id', 'name', 'description', 'price', 'stock', 'created_at', 'updated_at', 'deleted_at'],
+      paranoid: false
+    }),
+    Session.findAll({ where, attributes: ['id', 'device', 'user_agent', 'ip_address', 'last_used_at', 'expires_at', 'created_at'] }),
+    KnownDevice.findAll({ where, attributes: ['device', 'user_agent', 'ip_address', 'last_seen_at', 'created_at'] }),
+    UserIdentity.findAll({ where, attributes: ['provider', 'email', 'last_login_at', 'created_at'] }),
+    ApiKey.findAll({ where, attributes: ['name', 'prefix', 'scopes', 'expires_at', 'last_used_at', 'last_used_ip', 'created_at'] }),
+    AuditEvent.findAll({
+      where: involvesUser(userId),
+      order: [['created_at', 'ASC']],
+      attributes: ['event_type', 'actor_id', 'target_id', 'ip_address', 'user_agent', 'metadata', 'created_at']
+    })
+  ]);
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  const { roles, avatar_key: avatarKey, ...profile } = user.toJSON();
+
+  // Uploaded files are linked with the same lifetime as the export itself
+  const files = avatarKey
+    ? [{ type: 'avatar', url: await getPresignedUrl(avatarKey, DATA_EXPORT_LINK_EXPIRY_HOURS * 60 * 60) }]
+    : [];
+
+  return {
+    exported_at: new Date(),
+    profile: { ...profile, roles: roles.map((role) => role.name) },
+    files,
+    products,
+    sessions,
+    known_devices: knownDevices,
+    identities,
+    api_keys: apiKeys,
+    audit_events: auditEvents
+  };
+};
+
+// Store the export privately, replace the previous one and email a presigned download link
+const buildDataExport = async (user) => {
+  const data = await collectUserData(user.id);
+
+  const { key } = await uploadToS3(
+    {
+      name: 'data-export.json',
+      data: Buffer.from(JSON.stringify(data, null, 2)),
+      mimetype: 'application/json'
+    },
+    `${EXPORT_FOLDER}/${user.id}`,
+    false,
+    ['application/json']
+  );
+
+  const previousKey = user.data_export_key;
+  await user.update({ data_export_key: key });
+
+  if (previousKey) {
+    // Remove the older export (non-blocking)
+    deleteFromS3(previousKey).catch(err => {
+      logger.error(`Failed to delete previous data export ${previousKey}: ${err.message}`);
+    });
+  }
+
+  const downloadUrl = await getPresignedUrl(key, DATA_EXPORT_LINK_EXPIRY_HOURS * 60 * 60);
+  await emailService.sendDataExportEmail(user, downloadUrl, DATA_EXPORT_LINK_EXPIRY_HOURS);
+
+  logger.info(`Data export sent - user ID: ${user.id}, key: ${key}`);
+};
+
+/**
+ * Start a personal data export
+ * The archive is built after the response is sent and the download link is emailed to the user.
+ * @param {number} userId - User ID
+ * @param {Object} context - Request context, recorded in the audit log
+ * @returns {Promise<Object>} - { requested_at, link_expires_in_hours }
+ */
+export const requestDataExport = async (userId, context = {}) => {
+  const user = await findUser(userId);
+  const now = new Date();
+
+  // Conditional update so concurrent requests can't start two exports
+  const [claimed] = await User.update({ data_exported_at: now }, {
+    where: {
+      id: user.id,
+      [Op.or]: [
+        { data_exported_at: null },
+        { data_exported_at: { [Op.lte]: new Date(now.getTime() - DATA_EXPORT_COOLDOWN_MS) } }
+      ]
+    }
+  });
+
+  if (!claimed) {
+    throw new AppError('A data export was requested recently. Please try again later', 429, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  // Build and email the export (non-blocking)
+  buildDataExport(user).catch(err => {
+    logger.error(`Failed to build data export - user ID: ${user.id}: ${err.message}`);
+  });
+
+  logger.info(`Data export requested - user ID: ${user.id}`);
+  recordAuditEvent(AUDIT_EVENTS.DATA_EXPORT_REQUESTED, {
+    targetId: user.id,
+    context
+  });
+
+  return {
+    requested_at: now,
+    link_expires_in_hours: DATA_EXPORT_LINK_EXPIRY_HOURS
+  };
+};
+
+/**
+ * Schedule the user's account for erasure
+ * The account keeps working during the grace period so the request can be cancelled.
+ * @param {number} userId - User ID
+ * @param {Object} context - Request context, recorded in the audit log
+ * @returns {Promise<Object>} - { erasure_scheduled_at }
+ */
+export const scheduleErasure = async (userId, context = {}) => {
+  const user = await findUser(userId);
+
+  if (user.erasure_scheduled_at) {
+    throw new AppError('Account erasure is already scheduled', 400, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  const scheduledFor = new Date(Date.now() + ERASURE_GRACE_DAYS * DAY_MS);
+
+  await user.update({ erasure_scheduled_at: scheduledFor });
+
+  // Send erasure notice (non-blocking)
+  emailService.sendErasureScheduledEmail(user, scheduledFor).catch(err => {
+    logger.error(`Failed to send erasure notice to ${user.email}: ${err.message}`);
+  });
+
+  logger.info(`Account erasure scheduled - user ID: ${user.id}, for: ${scheduledFor.toISOString()}`);
+  recordAuditEvent(AUDIT_EVENTS.ERASURE_REQUESTED, {
+    targetId: user.id,
+    context,
+    metadata: { scheduledFor }
+  });
+
+  return { erasure_scheduled_at: scheduledFor };
+};
+
+export const cancelErasure = async (userId, context = {}) => {
+  const user = await findUser(userId);
+
+  if (!user.erasure_scheduled_at) {
+    throw new AppError('Account erasure is not scheduled', 400, true, ERROR_CODES.BAD_REQUEST);
+  }
+
+  await user.update({ erasure_scheduled_at: null });
+
+  logger.info(`Account erasure cancelled - user ID: ${user.id}`);
+  recordAuditEvent(AUDIT_EVENTS.ERASURE_CANCELLED, {
+    targetId: user.id,
+    context
+  });
+
+  return { erasure_scheduled_at: null };
+};
+
+/**
+ * Anonymize an account in place
+ * The row is kept (so products and audit events still point at it) but nothing identifying or
+ * usable for sign-in is left on it or in the rows around it.
+ */
+const anonymizeUser = async (user) => {
+  const userId = user.id;
+  const anonymizedEmail = `erased-${userId}@erased.invalid`;
+
+  const identities = await UserIdentity.findAll({ where: { user_id: userId }, attributes: ['email'] });
+  const knownEmails = [
+    ...new Set([user.email, user.pending_email, ...identities.map((identity) => identity.email)]
+      .filter(Boolean)
+      .map((email) => email.toLowerCase()))
+  ];
+
+  await Promise.all([user.data_export_key, user.avatar_key].filter(Boolean).map((key) => deleteFromS3(key)));
+
+  // Ends every session and blocks the access tokens already issued for them
+  await revokeAllSessions(userId);
+
+  const where = { user_id: userId };
+
+  await Promise.all([
+    ApiKey.destroy({ where }),
+    UserIdentity.destroy({ where }),
+    KnownDevice.destroy({ where }),
+    MfaRecoveryCode.destroy({ where }),
+    PasswordHistory.destroy({ where }),
+    UserRole.destroy({ where }),
+    AuditEvent.update({ ip_address: null, user_agent: null }, { where: involvesUser(userId) }),
+    AuditEvent.update(
+      { metadata: fn('JSON_SET', col('metadata'), '$.email', anonymizedEmail) },
+      { where: mentionsEmail(knownEmails) }
+    ),
+    Invitation.update({ email: anonymizedEmail }, { where: { accepted_user_id: userId } })
+  ]);
+
+  await user.update({
+    email: anonymizedEmail,
+    name: 'Erased user',
+    password: null,
+    password_changed_at: null,
+    password_reset_token: null,
+    password_reset_expires: null,
+    email_verification_token: null,
+    email_verification_sent_at: null,
+    mfa_secret: null,
+    mfa_enabled_at: null,
+    mfa_last_used_step: null,
+    magic_link_token: null,
+    magic_link_expires: null,
+    pending_email: null,
+    email_change_token: null,
+    email_change_expires: null,
+    suspension_reason: null,
+    avatar_key: null,
+    settings: null,
+    data_export_key: null,
+    erased_at: new Date()
+  });
+
+  logger.info(`Account erased - user ID: ${userId}`);
+  recordAuditEvent(AUDIT_EVENTS.ACCOUNT_ERASED, { actorId: null, targetId: userId });
+};
+
+/**
+ * Anonymize every account whose erasure grace period has passed
+ * Accounts are processed one at a time; one that fails is logged and retried on the next run.
+ * @returns {Promise<number>} - Number of accounts erased
+ */
+export const eraseDueAccounts = async () => {
+  const users = await User.findAll({
+    where: {
+      erasure_scheduled_at: { [Op.lte]: new Date() },
+      erased_at: null
+    },
+    paranoid: false
+  });
+
+  return users.reduce(async (previous, user) => {
+    const erased = await previous;
+
+    try {
+      await anonymizeUser(user);
+      return erased + 1;
+    } catch (error) {
+      logger.error(`Failed to erase account - user ID: ${user.id}: ${error.message}`);
+      return erased;
+    }
+  }, Promise.resolve(0));
+};
@@ -1,12 +1,28 @@
 import express from 'express';
-import { getAllUsersPaginated, getAllUsers, getUserById, updateUser, deleteUser } from './controller.js';
-import authMiddleware from '../../middleware/authMiddleware.js';
+import fileUpload from 'express-fileupload';
+import {
+  getAllUsersPaginated, getAllUsers, getUserById, updateUser, deleteUser, updateUserRoles, forceSignOutUser,
+  getMe, updateMe, deleteMe, getMySettings, updateMySettings, exportMyData, requestMyErasure, cancelMyErasure, restoreUser, createUser,
+  suspendUserAccount, reactivateUserAccount, unlockUserAccount, uploadUserAvatar, deleteUserAvatar
+} from './controller.js';
+import authMiddleware, {
+  requireVerifiedEmail, requireUser, requireSessionAuth, denyImpersonation
+} from '../../middleware/authMiddleware.js';
+import { authorize, authorizeSelfOr } from '../../middleware/authorize.js';
 import { validate } from '../../middleware/validate.js';
-import { paginate, sort, filter } from '../../middleware/queryHelpers.js';
-import { updateUserSchema, idParamSchema } from './validation.js';
+import { paginate, sort, filter, withDeleted } from '../../middleware/queryHelpers.js';
+import {
+  createUserSchema, updateUserSchema, idParamSchema, updateRolesSchema, suspendUserSchema
+} from './validation.js';
+import { AVATAR_MAX_BYTES } from '../../config/auth.js';
+// Declares the locale, timezone and theme settings keys
+import './settings.js';
 
 const router = express.Router();
 
+// Multipart parsing for avatar uploads only; files over the limit arrive truncated and are rejected
+const avatarUpload = fileUpload({ limits: { fileSize: AVATAR_MAX_BYTES, files: 1 } });
+
 // All user routes are protected
 router.use(authMiddleware);
 
@@ -41,6 +57,7 @@ router.use(authMiddleware);
  *       ```
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -63,6 +80,11 @@ router.use(authMiddleware);
  *           type: string
  *           enum: [asc, desc]
  *       - in: query
+ *         name: withDeleted
+ *         description: Include soft-deleted users (requires users:restore)
+ *         schema:
+ *           type: boolean
+ *       - in: query
  *         name: filter[name][like]
  *         schema:
  *           type: string
@@ -78,12 +100,66 @@ router.use(authMiddleware);
  */
 router.get(
   '/',
+  authorize('users:read'),
   paginate,
   sort(['name', 'email', 'created_at', 'updated_at']),
   filter(['name', 'email']),
+  withDeleted('users:restore'),
   getAllUsersPaginated
 );
 
+/**
+ * @swagger
+ * /api/users:
+ *   post:
+ *     tags: [Users]
+ *     summary: Create a user (admin)
+ *     description: |
+ *       Requires the `users:create` permission. Either set a `password` (the user gets a verification email)
+ *       or pass `sendInvite: true` to email them a link to choose one. `roles` defaults to `DEFAULT_ROLE`;
+ *       callers can only assign roles whose permissions they hold themselves.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Jane Doe
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: jane@example.com
+ *               password:
+ *                 type: string
+ *               sendInvite:
+ *                 type: boolean
+ *                 default: false
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [user]
+ *     responses:
+ *       201:
+ *         description: User created successfully
+ *       400:
+ *         description: Validation error or unknown role
+ *       403:
+ *         description: Missing permission, or a role grants permissions the caller doesn't hold
+ *       409:
+ *         description: Email is already in use
+ */
+router.post('/', authorize('users:create'), validate(createUserSchema), createUser);
+
 /**
  * @swagger
  * /api/users/all:
@@ -115,6 +191,7 @@ router.get(
  *       ```
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: sortBy
@@ -127,6 +204,11 @@ router.get(
  *           type: string
  *           enum: [asc, desc]
  *       - in: query
+ *         name: withDeleted
+ *         description: Include soft-deleted users (requires users:restore)
+ *         schema:
+ *           type: boolean
+ *       - in: query
  *         name: filter[name][like]
  *         schema:
  *           type: string
@@ -142,32 +224,212 @@ router.get(
  */
 router.get(
   '/all',
+  authorize('users:read'),
   sort(['name', 'email', 'created_at', 'updated_at']),
   filter(['name', 'email']),
+  withDeleted('users:restore'),
   getAllUsers
 );
 
+/**
+ * @swagger
+ * /api/users/me:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get the current user's profile
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile with roles and any pending email change
+ *       403:
+ *         description: Service tokens have no profile
+ */
+router.get('/me', requireUser, getMe);
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   patch:
+ *     tags: [Users]
+ *     summary: Update the current user's profile
+ *     description: |
+ *       A new email is stored as `pending_email` and only replaces the current one after the
+ *       verification link sent to the new address is opened (`GET /api/auth/verify-email`).
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Profile updated (email change pending verification when one was requested)
+ *       409:
+ *         description: Email is already in use
+ */
+router.patch('/me', requireUser, validate(updateUserSchema), updateMe);
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   delete:
+ *     tags: [Users]
+ *     summary: Delete the current user's account
+ *     description: Signs out every session. Not available with API keys or while impersonating.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account deleted successfully
+ *       403:
+ *         description: Called with an API key, service token or impersonation token
+ */
+router.delete('/me', requireSessionAuth, denyImpersonation, deleteMe);
+
+/**
+ * @swagger
+ * /api/users/me/settings:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get the current user's settings
+ *     description: |
+ *       Every registered key with the user's value or its default, e.g.
+ *       `locale` (BCP 47 tag, default `en-US`), `timezone` (IANA name, default `UTC`),
+ *       `theme` (`light`, `dark` or `system`) and `notifications.newSignIn` (default `true`).
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Settings
+ *   patch:
+ *     tags: [Users]
+ *     summary: Change some of the current user's settings
+ *     description: Only the keys sent are changed; `null` resets a key to its default. Unknown keys are rejected.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             example:
+ *               theme: dark
+ *               timezone: Europe/Berlin
+ *               notifications.newSignIn: false
+ *     responses:
+ *       200:
+ *         description: Settings after the change
+ *       400:
+ *         description: Unknown key or invalid value
+ */
+router.get('/me/settings', requireUser, getMySettings);
+router.patch('/me/settings', requireUser, updateMySettings);
+
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   post:
+ *     tags: [Users]
+ *     summary: Export the current user's data
+ *     description: |
+ *       Collects the profile, products, sessions, known devices, linked identities, API keys and audit
+ *       events into a JSON file stored privately in S3. A presigned download link is emailed once it is
+ *       ready (valid `DATA_EXPORT_LINK_EXPIRY_HOURS`). A new export replaces the previous one and can be
+ *       requested once an hour.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Export started
+ *       403:
+ *         description: Called with an API key, service token or impersonation token, or email not verified
+ *       429:
+ *         description: An export was requested within the last hour
+ */
+router.post('/me/export', requireSessionAuth, denyImpersonation, requireVerifiedEmail, exportMyData);
+
+/**
+ * @swagger
+ * /api/users/me/erasure:
+ *   post:
+ *     tags: [Users]
+ *     summary: Request erasure of the current user's account
+ *     description: |
+ *       The account is anonymized `ERASURE_GRACE_DAYS` after the request: personal data, credentials,
+ *       sessions, devices and linked identities are removed, and audit events lose their IP address and
+ *       user agent. Products are kept and stay linked to the anonymized account. Until then the account
+ *       works as usual and the request can be cancelled.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Erasure scheduled
+ *       400:
+ *         description: Erasure is already scheduled
+ *       403:
+ *         description: Called with an API key, service token or impersonation token
+ *   delete:
+ *     tags: [Users]
+ *     summary: Cancel a pending erasure request
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Erasure cancelled
+ *       400:
+ *         description: No erasure is scheduled
+ */
+router.post('/me/erasure', requireSessionAuth, denyImpersonation, requestMyErasure);
+router.delete('/me/erasure', requireSessionAuth, denyImpersonation, cancelMyErasure);
+
 /**
  * @swagger
  * /api/users/{id}:
  *   get:
  *     tags: [Users]
  *     summary: Get user by ID
+ *     description: Users can always read their own record; other records need `users:read`.
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: withDeleted
+ *         description: Include soft-deleted users (requires users:restore)
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: User details
  *       404:
  *         description: User not found
  */
-router.get('/:id', validate(idParamSchema, 'params'), getUserById);
+router.get(
+  '/:id',
+  authorizeSelfOr('users:read'),
+  validate(idParamSchema, 'params'),
+  withDeleted('users:restore'),
+  getUserById
+);
 
 /**
  * @swagger
@@ -175,8 +437,10 @@ router.get('/:id', validate(idParamSchema, 'params'), getUserById);
  *   put:
  *     tags: [Users]
  *     summary: Update a user
+ *     description: Users can update themselves (same rules as `PATCH /api/users/me`); other users need `users:update`.
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -200,10 +464,19 @@ router.get('/:id', validate(idParamSchema, 'params'), getUserById);
  *     responses:
  *       200:
  *         description: User updated successfully
+ *       403:
+ *         description: Missing users:update permission
  *       404:
  *         description: User not found
  */
-router.put('/:id', validate(idParamSchema, 'params'), validate(updateUserSchema), updateUser);
+router.put(
+  '/:id',
+  requireVerifiedEmail,
+  authorizeSelfOr('users:update'),
+  validate(idParamSchema, 'params'),
+  validate(updateUserSchema),
+  updateUser
+);
 
 /**
  * @swagger
@@ -211,8 +484,12 @@ router.put('/:id', validate(idParamSchema, 'params'), validate(updateUserSchema)
  *   delete:
  *     tags: [Users]
  *     summary: Delete a user
+ *     description: |
+ *       Users can delete themselves; other users need `users:delete`.
+ *       Soft delete - the account is signed out and hidden until restored or purged after the retention period.
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -222,9 +499,300 @@ router.put('/:id', validate(idParamSchema, 'params'), validate(updateUserSchema)
  *     responses:
  *       200:
  *         description: User deleted successfully
+ *       403:
+ *         description: Missing users:delete permission
+ *       404:
+ *         description: User not found
+ */
+router.delete(
+  '/:id',
+  requireVerifiedEmail,
+  authorizeSelfOr('users:delete'),
+  validate(idParamSchema, 'params'),
+  deleteUser
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/avatar:
+ *   put:
+ *     tags: [Users]
+ *     summary: Upload or replace a user's avatar
+ *     description: |
+ *       Users can set their own avatar; other users need `users:update`. Accepts a JPEG, PNG, GIF or WebP image
+ *       up to `AVATAR_MAX_SIZE_KB` (default 2048). The image is stored privately in S3, the previous one is
+ *       deleted, and user responses include a presigned `avatar_url` valid for one hour.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - avatar
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Avatar updated, user returned with its avatar_url
+ *       400:
+ *         description: Missing file or file type not allowed
+ *       403:
+ *         description: Missing users:update permission
+ *       404:
+ *         description: User not found
+ *       413:
+ *         description: Image too large
+ *   delete:
+ *     tags: [Users]
+ *     summary: Remove a user's avatar
+ *     description: Users can remove their own avatar; other users need `users:update`.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Avatar removed
+ *       400:
+ *         description: User has no avatar
+ *       404:
+ *         description: User not found
+ */
+router.put(
+  '/:id/avatar',
+  requireVerifiedEmail,
+  authorizeSelfOr('users:update'),
+  validate(idParamSchema, 'params'),
+  avatarUpload,
+  uploadUserAvatar
+);
+
+router.delete(
+  '/:id/avatar',
+  requireVerifiedEmail,
+  authorizeSelfOr('users:update'),
+  validate(idParamSchema, 'params'),
+  deleteUserAvatar
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/roles:
+ *   put:
+ *     tags: [Users]
+ *     summary: Replace a user's roles
+ *     description: |
+ *       Requires the `roles:assign` permission. Callers can only assign roles whose permissions they hold themselves.
+ *       Takes effect on the user's next token refresh or login.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roles
+ *             properties:
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [admin]
+ *     responses:
+ *       200:
+ *         description: User roles updated successfully
+ *       400:
+ *         description: Unknown role
+ *       403:
+ *         description: Missing permission, or a role grants permissions the caller doesn't hold
+ *       404:
+ *         description: User not found
+ */
+router.put(
+  '/:id/roles',
+  authorize('roles:assign'),
+  validate(idParamSchema, 'params'),
+  validate(updateRolesSchema),
+  updateUserRoles
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/force-sign-out:
+ *   post:
+ *     tags: [Users]
+ *     summary: Sign a user out everywhere
+ *     description: Requires the `users:sign-out` permission. Ends all sessions and immediately revokes their access tokens.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User signed out from all sessions
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/force-sign-out', authorize('users:sign-out'), validate(idParamSchema, 'params'), forceSignOutUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/suspend:
+ *   post:
+ *     tags: [Users]
+ *     summary: Suspend a user
+ *     description: |
+ *       Requires the `users:suspend` permission. Signs the user out everywhere; sign-in attempts and their API keys
+ *       are refused with `ACCOUNT_SUSPENDED` until the account is reactivated.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Chargeback under review
+ *     responses:
+ *       200:
+ *         description: User suspended
+ *       400:
+ *         description: Already suspended, or suspending yourself
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User not found
+ */
+router.post(
+  '/:id/suspend',
+  authorize('users:suspend'),
+  validate(idParamSchema, 'params'),
+  validate(suspendUserSchema),
+  suspendUserAccount
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/reactivate:
+ *   post:
+ *     tags: [Users]
+ *     summary: Reactivate a suspended user
+ *     description: Requires the `users:suspend` permission.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User reactivated
+ *       400:
+ *         description: User is not suspended
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/reactivate', authorize('users:suspend'), validate(idParamSchema, 'params'), reactivateUserAccount);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     tags: [Users]
+ *     summary: Unlock a user locked out by failed sign-in attempts
+ *     description: Requires the `users:unlock` permission. Clears `account_locked_until`, `failed_login_attempts` and the progressive lockout count.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User unlocked
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/unlock', authorize('users:unlock'), validate(idParamSchema, 'params'), unlockUserAccount);
+
+/**
+ * @swagger
+ * /api/users/{id}/restore:
+ *   post:
+ *     tags: [Users]
+ *     summary: Restore a soft-deleted user
+ *     description: Requires the `users:restore` permission. The user signs in again; sessions revoked on delete stay revoked.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User restored successfully
+ *       400:
+ *         description: User is not deleted
+ *       403:
+ *         description: Missing permission
  *       404:
  *         description: User not found
  */
-router.delete('/:id', validate(idParamSchema, 'params'), deleteUser);
+router.post('/:id/restore', authorize('users:restore'), validate(idParamSchema, 'params'), restoreUser);
 
 export default router;
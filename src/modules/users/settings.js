@@ -0,0 +1,29 @@
+import Joi from 'joi';
+import { registerSettings } from '../../services/settingsService.js';
+
+/**
+ * Profile settings keys
+ * Other modules declare theirs the same way (e.g. emailService for notification opt-outs).
+ */
+
+const isLocale = (value, helpers) => {
+  try {
+    return Intl.getCanonicalLocales(value)[0];
+  } catch (error) {
+    return helpers.message('{{#label}} must be a BCP 47 language tag such as en-US');
+  }
+};
+
+const isTimeZone = (value, helpers) => {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+  } catch (error) {
+    return helpers.message('{{#label}} must be an IANA time zone such as Europe/Berlin');
+  }
+};
+
+registerSettings({
+  locale: Joi.string().max(35).custom(isLocale).default('en-US'),
+  timezone: Joi.string().max(64).custom(isTimeZone).default('UTC'),
+  theme: Joi.string().valid('light', 'dark', 'system').default('system')
+});
@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { passwordSchema } from '../../services/passwordPolicyService.js';
 
 export const createUserSchema = Joi.object({
   name: Joi.string().min(2).max(255).required().messages({
@@ -11,11 +12,16 @@ export const createUserSchema = Joi.object({
     'string.email': 'Please provide a valid email address',
     'any.required': 'Email is required'
   }),
-  password: Joi.string().min(6).max(255).required().messages({
-    'string.empty': 'Password is required',
-    'string.min': 'Password must be at least 6 characters',
-    'string.max': 'Password must not exceed 255 characters',
-    'any.required': 'Password is required'
+  // Without a password the user is emailed a link to set one
+  sendInvite: Joi.boolean().default(false),
+  password: Joi.when('sendInvite', {
+    is: true,
+    then: Joi.forbidden().messages({ 'any.unknown': 'Password cannot be set when sending an invite' }),
+    otherwise: passwordSchema
+  }),
+  roles: Joi.array().items(Joi.string().max(50)).unique().optional().messages({
+    'array.base': 'Roles must be an array of role names',
+    'array.unique': 'Roles must not contain duplicates'
   })
 });
 
@@ -38,3 +44,17 @@ export const idParamSchema = Joi.object({
     'any.required': 'ID is required'
   })
 });
+
+export const updateRolesSchema = Joi.object({
+  roles: Joi.array().items(Joi.string().max(50)).unique().required().messages({
+    'array.base': 'Roles must be an array of role names',
+    'array.unique': 'Roles must not contain duplicates',
+    'any.required': 'Roles are required'
+  })
+});
+
+export const suspendUserSchema = Joi.object({
+  reason: Joi.string().max(255).optional().messages({
+    'string.max': 'Reason must not exceed 255 characters'
+  })
+});
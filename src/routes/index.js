@@ -3,6 +3,9 @@ import authRoutes from '../modules/auth/routes.js';
 import userRoutes from '../modules/users/routes.js';
 import productRoutes from '../modules/product/routes.js';
 import healthRoutes from '../modules/health/routes.js';
+import auditRoutes from '../modules/audit/routes.js';
+import oauthRoutes from '../modules/oauth/routes.js';
+import invitationRoutes from '../modules/invitations/routes.js';
 
 const router = express.Router();
 
@@ -11,5 +14,8 @@ router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/products', productRoutes);
 router.use('/health', healthRoutes);
+router.use('/audit-events', auditRoutes);
+router.use('/oauth-clients', oauthRoutes);
+router.use('/invitations', invitationRoutes);
 
 export default router;
@@ -4,8 +4,10 @@ import dotenv from 'dotenv';
 import helmet from 'helmet';
 import xss from 'xss-clean';
 import compression from 'compression';
+import cookieParser from 'cookie-parser';
 import swaggerUi from 'swagger-ui-express';
 import routes from './routes/index.js';
+import jwksRoutes from './modules/jwks/routes.js';
 import db from '../database/models/index.js';
 import logger from './config/logger.js';
 import morganMiddleware from './middleware/morganMiddleware.js';
@@ -16,6 +18,7 @@ import { validateEnv } from './config/validateEnv.js';
 import { initializeJobs } from './jobs/index.js';
 import { startAllJobs } from './services/cronService.js';
 import { requestIdMiddleware } from './middleware/requestId.js';
+import { csrfProtection } from './middleware/csrf.js';
 
 dotenv.config();
 
@@ -54,6 +57,7 @@ app.use(cors(corsOptions));
 // Body parsing middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // Data sanitization against XSS attacks
 app.use(xss());
@@ -70,9 +74,15 @@ app.use(generalLimiter);
 // Swagger documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
+// CSRF check for cookie-authenticated requests (no-op for Bearer tokens and API keys)
+app.use(csrfProtection);
+
 // API routes
 app.use('/api', routes);
 
+// Public signing keys for services that verify our access tokens
+app.use('/.well-known', jwksRoutes);
+
 // 404 handler
 app.use((req, res) => {
   logger.warn(`404 - Not Found - ${req.originalUrl} - ${req.method} `);
@@ -0,0 +1,80 @@
+import { Op } from 'sequelize';
+import db from '../../database/models/index.js';
+import logger from '../config/logger.js';
+
+const { AuditEvent } = db;
+
+/**
+ * Audit Service
+ * Persists security-relevant events to audit_events.
+ */
+
+export const AUDIT_EVENTS = {
+  LOGIN_SUCCESS: 'login.success',
+  LOGIN_FAILURE: 'login.failure',
+  ACCOUNT_LOCKED: 'account.locked',
+  ACCOUNT_UNLOCKED: 'account.unlocked',
+  ACCOUNT_SUSPENDED: 'account.suspended',
+  ACCOUNT_REACTIVATED: 'account.reactivated',
+  USER_CREATED: 'user.created',
+  INVITATION_CREATED: 'invitation.created',
+  INVITATION_ACCEPTED: 'invitation.accepted',
+  INVITATION_REVOKED: 'invitation.revoked',
+  FORCE_SIGN_OUT: 'sessions.force_sign_out',
+  TOKEN_REFRESH: 'token.refresh',
+  REFRESH_TOKEN_REUSED: 'token.refresh_reused',
+  LOGOUT: 'logout',
+  PASSWORD_CHANGE: 'password.change',
+  PASSWORD_RESET: 'password.reset',
+  ROLE_CHANGE: 'role.change',
+  IMPERSONATION_START: 'impersonation.start',
+  SIGN_IN_REPORTED: 'account.sign_in_reported',
+  DATA_EXPORT_REQUESTED: 'account.data_export_requested',
+  ERASURE_REQUESTED: 'account.erasure_requested',
+  ERASURE_CANCELLED: 'account.erasure_cancelled',
+  ACCOUNT_ERASED: 'account.erased'
+};
+
+/**
+ * Record an audit event
+ * Never throws: a failed write is logged so it can't break the request being audited.
+ * @param {string} eventType - One of AUDIT_EVENTS
+ * @param {Object} details - { actorId, targetId, context, metadata }; actorId defaults to context.actorId
+ * @returns {Promise<void>}
+ */
+export const recordAuditEvent = async (eventType, {
+  actorId, targetId = null, context = {}, metadata = null
+} = {}) => {
+  try {
+    await AuditEvent.create({
+      event_type: eventType,
+      actor_id: actorId === undefined ? context.actorId || null : actorId,
+      target_id: targetId,
+      ip_address: context.ipAddress || null,
+      user_agent: context.userAgent ? context.userAgent.substring(0, 512) : null,
+      request_id: context.requestId || null,
+      metadata
+    });
+  } catch (error) {
+    logger.error(`Failed to record audit event ${eventType} - target: ${targetId}: ${error.message}`);
+  }
+};
+
+/**
+ * Delete audit events older than the retention period
+ * @param {number} retentionDays - Days to keep
+ * @returns {Promise<number>} - Number of events deleted
+ */
+export const pruneAuditEvents = async (retentionDays) => {
+  return AuditEvent.destroy({
+    where: {
+      created_at: { [Op.lt]: new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000) }
+    }
+  });
+};
+
+export default {
+  AUDIT_EVENTS,
+  recordAuditEvent,
+  pruneAuditEvents
+};
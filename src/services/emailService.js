@@ -1,15 +1,30 @@
 import nodemailer from 'nodemailer';
 import { google } from 'googleapis';
+import Joi from 'joi';
 import logger from '../config/logger.js';
+import { registerSettings, getUserSetting } from './settingsService.js';
 import { 
   baseEmailTemplate, 
   welcomeEmailBody, 
   passwordResetBody, 
-  verificationEmailBody 
+  verificationEmailBody,
+  accountSetupBody,
+  invitationBody,
+  passwordChangedBody,
+  magicLinkBody,
+  newSignInBody,
+  dataExportBody,
+  erasureScheduledBody
 } from '../templates/emailTemplate.js';
 
 const { OAuth2 } = google.auth;
 
+// Notification emails users can turn off in their settings, including the new sign-in alert;
+// every other account email (verification, password reset, change notices...) always sends
+registerSettings({
+  'notifications.newSignIn': Joi.boolean().default(true)
+});
+
 class EmailService {
   constructor() {
     this.oauth2Client = new OAuth2(
@@ -187,6 +202,125 @@ class EmailService {
       html
     });
   }
+
+  // Set-password link for an account created by an admin; completes through the password reset endpoint
+  async sendAccountSetupEmail(user, setupToken, expiresInDays) {
+    const setupUrl = `${process.env.FRONTEND_URL}/reset-password?token=${setupToken}`;
+    const subject = 'Your Account Has Been Created';
+    const html = baseEmailTemplate({
+      title: 'Set Your Password',
+      body: accountSetupBody(user.name, setupUrl, expiresInDays)
+    });
+
+    return this.sendEmail({
+      to: user.email,
+      subject,
+      html
+    });
+  }
+
+  async sendInvitationEmail(email, inviterName, inviteToken, expiresInDays) {
+    const acceptUrl = `${process.env.FRONTEND_URL}/accept-invite?token=${inviteToken}`;
+    const subject = `${inviterName} invited you to join`;
+    const html = baseEmailTemplate({
+      title: 'You\'re Invited',
+      body: invitationBody(inviterName, acceptUrl, expiresInDays)
+    });
+
+    return this.sendEmail({
+      to: email,
+      subject,
+      html
+    });
+  }
+
+  async sendMagicLinkEmail(user, loginToken, expiresInMinutes) {
+    const loginUrl = `${process.env.FRONTEND_URL}/magic-link?token=${loginToken}`;
+    const subject = 'Your Login Link';
+    const html = baseEmailTemplate({
+      title: 'Sign In',
+      body: magicLinkBody(user.name, loginUrl, expiresInMinutes)
+    });
+
+    return this.sendEmail({
+      to: user.email,
+      subject,
+      html
+    });
+  }
+
+  async sendPasswordChangedEmail(user) {
+    const subject = 'Your Password Was Changed';
+    const html = baseEmailTemplate({
+      title: 'Password Changed',
+      body: passwordChangedBody(user.name, new Date().toUTCString())
+    });
+
+    return this.sendEmail({
+      to: user.email,
+      subject,
+      html
+    });
+  }
+
+  // Whether the user left an optional notification on (see registerSettings above)
+  async isNotificationEnabled(user, notification) {
+    const enabled = await getUserSetting(user.id, `notifications.${notification}`);
+
+    if (!enabled) {
+      logger.info(`Email skipped - ${notification} notifications are turned off for user ID: ${user.id}`);
+    }
+
+    return enabled;
+  }
+
+  async sendNewSignInEmail(user, signIn, reportToken, expiresInDays) {
+    if (!(await this.isNotificationEnabled(user, 'newSignIn'))) {
+      return null;
+    }
+
+    const reportUrl = `${process.env.FRONTEND_URL}/report-sign-in?token=${reportToken}`;
+    const subject = 'New Sign-In to Your Account';
+    const html = baseEmailTemplate({
+      title: 'New Sign-In',
+      body: newSignInBody(user.name, { ...signIn, signedInAt: signIn.signedInAt.toUTCString() }, reportUrl, expiresInDays)
+    });
+
+    return this.sendEmail({
+      to: user.email,
+      subject,
+      html
+    });
+  }
+
+  // downloadUrl is a presigned S3 link, not a frontend route
+  async sendDataExportEmail(user, downloadUrl, expiresInHours) {
+    const subject = 'Your Data Export Is Ready';
+    const html = baseEmailTemplate({
+      title: 'Data Export',
+      body: dataExportBody(user.name, downloadUrl, expiresInHours)
+    });
+
+    return this.sendEmail({
+      to: user.email,
+      subject,
+      html
+    });
+  }
+
+  async sendErasureScheduledEmail(user, scheduledFor) {
+    const subject = 'Your Account Is Scheduled for Erasure';
+    const html = baseEmailTemplate({
+      title: 'Account Erasure',
+      body: erasureScheduledBody(user.name, scheduledFor.toUTCString())
+    });
+
+    return this.sendEmail({
+      to: user.email,
+      subject,
+      html
+    });
+  }
 }
 
 export default new EmailService();
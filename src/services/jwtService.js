@@ -0,0 +1,251 @@
+import crypto, { randomUUID } from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import db from '../../database/models/index.js';
+import logger from '../config/logger.js';
+import { JWT_ALGORITHM, JWT_KEY_ROTATION_DAYS, JWT_KEY_GRACE_HOURS } from '../config/auth.js';
+import { encryptSecret, decryptSecret } from './tokenService.js';
+
+/**
+ * JWT Service
+ * Signs and verifies access tokens.
+ *
+ * With JWT_ALGORITHM=HS256 (default) tokens are signed with the shared JWT_SECRET.
+ * With RS256/ES256 tokens are signed with the newest key in signing_keys and carry its
+ * "kid" header. Retired keys keep verifying for JWT_KEY_GRACE_HOURS, and every
+ * non-expired public key is published as a JWKS so other services can verify tokens
+ * without the signing secret.
+ */
+
+const { SigningKey } = db;
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+const KEY_CACHE_TTL_MS = 5 * 60 * 1000; // Pick up keys rotated by other instances
+const KEY_RELOAD_THROTTLE_MS = 30 * 1000; // Limit reloads triggered by unknown kids
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const KEY_TYPES = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'P-256' }]
+};
+
+let cache = { keys: [], loadedAt: 0 };
+let pendingKeyCreation = null;
+
+const isAsymmetric = () => JWT_ALGORITHM !== 'HS256';
+
+// Keys that can still verify tokens, newest first
+const loadKeys = async (force = false) => {
+  if (!force && Date.now() - cache.loadedAt < KEY_CACHE_TTL_MS) {
+    return cache.keys;
+  }
+
+  const keys = await SigningKey.findAll({
+    where: {
+      [Op.or]: [
+        { expires_at: null },
+        { expires_at: { [Op.gt]: new Date() } }
+      ]
+    },
+    order: [['created_at', 'DESC']]
+  });
+
+  cache = { keys, loadedAt: Date.now() };
+  return keys;
+};
+
+const createSigningKey = async () => {
+  const [type, options] = KEY_TYPES[JWT_ALGORITHM];
+  const { publicKey, privateKey } = await generateKeyPair(type, {
+    ...options,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  const key = await SigningKey.create({
+    kid: randomUUID(),
+    algorithm: JWT_ALGORITHM,
+    public_key: publicKey,
+    private_key: encryptSecret(privateKey)
+  });
+
+  logger.info(`Signing key created - kid: ${key.kid}, algorithm: ${key.algorithm}`);
+  return key;
+};
+
+// Newest non-retired key for the configured algorithm, created on first use
+const getActiveKey = async () => {
+  const keys = await loadKeys();
+  const active = keys.find((key) => !key.retired_at && key.algorithm === JWT_ALGORITHM);
+
+  if (active) return active;
+
+  // Share one creation between concurrent requests
+  if (!pendingKeyCreation) {
+    pendingKeyCreation = createSigningKey()
+      .then(async (key) => {
+        await loadKeys(true);
+        return key;
+      })
+      .finally(() => {
+        pendingKeyCreation = null;
+      });
+  }
+
+  return pendingKeyCreation;
+};
+
+/**
+ * Sign an access token
+ * @param {Object} payload - Token claims
+ * @param {Object} options - jsonwebtoken sign options (expiresIn, jwtid, ...)
+ * @returns {Promise<string>}
+ */
+export const signAccessToken = async (payload, options = {}) => {
+  if (!isAsymmetric()) {
+    return jwt.sign(payload, process.env.JWT_SECRET, options);
+  }
+
+  const key = await getActiveKey();
+
+  return jwt.sign(payload, decryptSecret(key.private_key), {
+    ...options,
+    algorithm: key.algorithm,
+    keyid: key.kid
+  });
+};
+
+/**
+ * Check a token without a kid against JWT_SECRET
+ * After switching to RS256/ES256 only tokens issued before the first key pair existed are
+ * accepted, and only if they expire within JWT_KEY_GRACE_HOURS of it, so the shared secret
+ * can't keep minting tokens once the migration window has passed.
+ */
+const verifyLegacyToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+
+  if (!isAsymmetric()) return decoded;
+
+  await getActiveKey();
+  const keys = await loadKeys();
+  const firstKeyAt = Math.min(...keys.map((key) => new Date(key.created_at).getTime()));
+
+  const issuedBeforeSwitch = decoded.iat * 1000 < firstKeyAt;
+  const expiresInWindow = decoded.exp * 1000 <= firstKeyAt + JWT_KEY_GRACE_HOURS * HOUR_MS;
+
+  if (!issuedBeforeSwitch || !expiresInWindow) {
+    throw new jwt.JsonWebTokenError('tokens signed with JWT_SECRET are no longer accepted');
+  }
+
+  return decoded;
+};
+
+/**
+ * Verify an access token
+ * Tokens with a kid are checked against the matching public key; tokens without one
+ * are HS256 tokens checked against JWT_SECRET (see verifyLegacyToken). Throws jsonwebtoken errors.
+ * @param {string} token - Encoded JWT
+ * @returns {Promise<Object>} - Decoded payload
+ */
+export const verifyAccessToken = async (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { kid } = decoded.header;
+
+  if (!kid) {
+    return verifyLegacyToken(token);
+  }
+
+  let key = (await loadKeys()).find((candidate) => candidate.kid === kid);
+
+  // Possibly rotated by another instance since the cache was loaded
+  if (!key && Date.now() - cache.loadedAt > KEY_RELOAD_THROTTLE_MS) {
+    key = (await loadKeys(true)).find((candidate) => candidate.kid === kid);
+  }
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  return jwt.verify(token, key.public_key, { algorithms: [key.algorithm] });
+};
+
+/**
+ * Public keys in JWKS format (RFC 7517)
+ * @returns {Promise<Object>} - { keys: [...] }
+ */
+export const getJwks = async () => {
+  if (isAsymmetric()) {
+    await getActiveKey();
+  }
+
+  const keys = await loadKeys();
+
+  return {
+    keys: keys.map((key) => ({
+      ...crypto.createPublicKey(key.public_key).export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.algorithm,
+      use: 'sig'
+    }))
+  };
+};
+
+/**
+ * Rotate the signing key when it is older than JWT_KEY_ROTATION_DAYS
+ * Retired keys stay in the JWKS until their grace period ends; expired keys are deleted.
+ * @param {Object} options - { force } rotates regardless of key age
+ * @returns {Promise<Object>} - { rotated, kid, removed }
+ */
+export const rotateSigningKeys = async ({ force = false } = {}) => {
+  const removed = await SigningKey.destroy({
+    where: { expires_at: { [Op.lte]: new Date() } }
+  });
+
+  if (!isAsymmetric()) {
+    return { rotated: false, removed };
+  }
+
+  const keys = await loadKeys(true);
+  const active = keys.find((key) => !key.retired_at && key.algorithm === JWT_ALGORITHM);
+  const isDue = !active || Date.now() - new Date(active.created_at).getTime() >= JWT_KEY_ROTATION_DAYS * DAY_MS;
+
+  if (!force && !isDue) {
+    return { rotated: false, removed };
+  }
+
+  const newKey = await createSigningKey();
+  const now = new Date();
+
+  // Every other live key (including ones for a previous algorithm) stops signing
+  await SigningKey.update(
+    {
+      retired_at: now,
+      expires_at: new Date(now.getTime() + JWT_KEY_GRACE_HOURS * HOUR_MS)
+    },
+    {
+      where: {
+        retired_at: null,
+        kid: { [Op.ne]: newKey.kid }
+      }
+    }
+  );
+
+  await loadKeys(true);
+  logger.info(`Signing key rotated - new kid: ${newKey.kid}`);
+
+  return { rotated: true, kid: newKey.kid, removed };
+};
+
+export default {
+  signAccessToken,
+  verifyAccessToken,
+  getJwks,
+  rotateSigningKeys
+};
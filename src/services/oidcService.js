@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { AppError, COMMON_ERRORS, ERROR_CODES } from '../middleware/errorHandler.js';
+import logger from '../config/logger.js';
+import { OIDC_PROVIDERS, OIDC_STATE_EXPIRY_MS } from '../config/auth.js';
+import { encryptSecret, decryptSecret, generateRandomToken } from './tokenService.js';
+
+/**
+ * OIDC Service
+ * Authorization code flow with PKCE against any OpenID Connect provider.
+ *
+ * Providers are configured in config/auth.js (OIDC_PROVIDERS) by issuer, client id and
+ * secret; endpoints and signing keys come from the issuer's discovery document. The
+ * PKCE verifier and nonce travel in an encrypted `state` value, so no server-side
+ * storage is needed between the redirect and the callback. The state also carries a
+ * random id that the browser starting the login keeps in a cookie; the callback only
+ * accepts the state together with that cookie, so a login can't be completed in
+ * someone else's browser.
+ */
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+
+// issuer -> { config, jwks, loadedAt }
+const discoveryCache = new Map();
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+export const getProvider = (name) => {
+  const provider = OIDC_PROVIDERS[name];
+
+  if (!provider) {
+    throw new AppError(`Unknown login provider: ${name}`, 404, true, ERROR_CODES.NOT_FOUND);
+  }
+
+  return provider;
+};
+
+export const listProviders = () => Object.keys(OIDC_PROVIDERS);
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    signal: AbortSignal.timeout(10000)
+  });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const reason = body && (body.error_description || body.error);
+    throw new Error(`${options.method || 'GET'} ${url} failed with ${response.status}${reason ? `: ${reason}` : ''}`);
+  }
+
+  return body;
+};
+
+const discover = async (provider, { refreshKeys = false } = {}) => {
+  const cached = discoveryCache.get(provider.issuer);
+
+  if (cached && !refreshKeys && Date.now() - cached.loadedAt < DISCOVERY_CACHE_MS) {
+    return cached;
+  }
+
+  try {
+    const config = await fetchJson(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+    const jwks = await fetchJson(config.jwks_uri);
+    const entry = { config, jwks, loadedAt: Date.now() };
+
+    discoveryCache.set(provider.issuer, entry);
+    return entry;
+  } catch (error) {
+    logger.error(`OIDC discovery failed - provider: ${provider.name}: ${error.message}`);
+    throw new AppError('Login provider is unavailable', 502, true, ERROR_CODES.INTERNAL_ERROR);
+  }
+};
+
+/**
+ * Build the provider's authorization URL for a new login attempt
+ * @param {string} providerName - Key from OIDC_PROVIDERS
+ * @returns {Promise<Object>} - { authorizationUrl, stateId }; stateId goes in the browser's state cookie
+ */
+export const buildAuthorizationUrl = async (providerName) => {
+  const provider = getProvider(providerName);
+  const { config } = await discover(provider);
+
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+  const nonce = base64Url(crypto.randomBytes(16));
+  const stateId = generateRandomToken(16);
+
+  const state = encryptSecret(JSON.stringify({
+    provider: provider.name,
+    stateId,
+    codeVerifier,
+    nonce,
+    exp: Date.now() + OIDC_STATE_EXPIRY_MS
+  }));
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    authorizationUrl: `${config.authorization_endpoint}?${params.toString()}`,
+    stateId
+  };
+};
+
+const isSameStateId = (expected, actual) => typeof expected === 'string'
+  && typeof actual === 'string'
+  && expected.length === actual.length
+  && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+
+const readState = (providerName, state, stateId) => {
+  let data;
+  try {
+    data = JSON.parse(decryptSecret(state));
+  } catch (error) {
+    data = null;
+  }
+
+  if (!data || data.provider !== providerName || data.exp < Date.now() || !isSameStateId(data.stateId, stateId)) {
+    throw new AppError('Invalid or expired login state', 400, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  return data;
+};
+
+const getSigningKey = async (provider, kid) => {
+  const findKey = ({ jwks }) => jwks.keys.find((key) => key.use !== 'enc' && (!kid || key.kid === kid));
+
+  // Providers rotate keys; reload once when the token's kid is unknown
+  const key = findKey(await discover(provider)) || findKey(await discover(provider, { refreshKeys: true }));
+
+  if (!key) {
+    throw new AppError('Invalid ID token', 401, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new AppError('Invalid ID token', 401, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  const publicKey = await getSigningKey(provider, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, publicKey, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: provider.issuer,
+      audience: provider.clientId
+    });
+  } catch (error) {
+    logger.warn(`OIDC ID token rejected - provider: ${provider.name}: ${error.message}`);
+    throw new AppError('Invalid ID token', 401, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  if (claims.nonce !== nonce) {
+    logger.warn(`OIDC ID token rejected - provider: ${provider.name}: nonce mismatch`);
+    throw new AppError('Invalid ID token', 401, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  return claims;
+};
+
+/**
+ * Exchange an authorization code for the provider's verified identity
+ * @param {string} providerName - Key from OIDC_PROVIDERS
+ * @param {string} code - Authorization code from the callback
+ * @param {string} state - State value from the callback
+ * @param {string} stateId - Value of the state cookie set when the login started
+ * @returns {Promise<Object>} - { provider, subject, email, emailVerified, name }
+ */
+export const exchangeCode = async (providerName, code, state, stateId) => {
+  const provider = getProvider(providerName);
+  const { codeVerifier, nonce } = readState(providerName, state, stateId);
+  const { config } = await discover(provider);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  // client_secret_basic is the spec default; fall back to client_secret_post when it is the only method offered
+  const authMethods = config.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+  if (authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', provider.clientId);
+    body.set('client_secret', provider.clientSecret);
+  }
+
+  let tokens;
+  try {
+    tokens = await fetchJson(config.token_endpoint, { method: 'POST', headers, body });
+  } catch (error) {
+    logger.warn(`OIDC code exchange failed - provider: ${provider.name}: ${error.message}`);
+    throw new AppError('Authorization code is invalid or expired', 401, true, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  if (!tokens || !tokens.id_token) {
+    throw new AppError(COMMON_ERRORS.UNAUTHORIZED);
+  }
+
+  const claims = await verifyIdToken(provider, tokens.id_token, nonce);
+
+  return {
+    provider: provider.name,
+    subject: String(claims.sub),
+    email: claims.email ? claims.email.toLowerCase() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || claims.preferred_username || null
+  };
+};
+
+export default {
+  getProvider,
+  listProviders,
+  buildAuthorizationUrl,
+  exchangeCode
+};
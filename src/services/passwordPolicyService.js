@@ -0,0 +1,188 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import bcrypt from 'bcrypt';
+import Joi from 'joi';
+import db from '../../database/models/index.js';
+import { AppError, ERROR_CODES } from '../middleware/errorHandler.js';
+import logger from '../config/logger.js';
+import { PASSWORD_POLICY } from '../config/auth.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const { PasswordHistory } = db;
+
+/**
+ * Password Policy Service
+ * Single source of truth for password rules: strength (length, character classes,
+ * common-password blocklist), reuse of recent passwords and maximum age.
+ */
+
+const BCRYPT_ROUNDS = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const loadBlocklist = () => {
+  const file = path.resolve(__dirname, '../..', PASSWORD_POLICY.blocklistFile);
+
+  try {
+    return new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter(Boolean)
+    );
+  } catch (error) {
+    logger.warn(`Password blocklist not loaded from ${file}: ${error.message}`);
+    return new Set();
+  }
+};
+
+const blocklist = loadBlocklist();
+
+const CHARACTER_CLASSES = [
+  ['requireLowercase', /[a-z]/, 'one lowercase letter'],
+  ['requireUppercase', /[A-Z]/, 'one uppercase letter'],
+  ['requireNumber', /\d/, 'one number'],
+  ['requireSymbol', /[^A-Za-z\d]/, 'one special character']
+];
+
+/**
+ * Check a password against the strength rules
+ * @param {string} password - Plain password
+ * @returns {Array<string>} - Failed rules as messages (empty when the password is acceptable)
+ */
+export const checkPasswordStrength = (password) => {
+  const errors = [];
+
+  if (password.length < PASSWORD_POLICY.minLength) {
+    errors.push(`Password must be at least ${PASSWORD_POLICY.minLength} characters`);
+  }
+
+  if (password.length > PASSWORD_POLICY.maxLength) {
+    errors.push(`Password must not exceed ${PASSWORD_POLICY.maxLength} characters`);
+  }
+
+  const missing = CHARACTER_CLASSES
+    .filter(([rule, pattern]) => PASSWORD_POLICY[rule] && !pattern.test(password))
+    .map(([, , description]) => description);
+
+  if (missing.length > 0) {
+    errors.push(`Password must contain at least ${missing.join(', ')}`);
+  }
+
+  if (blocklist.has(password.toLowerCase())) {
+    errors.push('Password is too common. Please choose a different one');
+  }
+
+  return errors;
+};
+
+// Shared Joi rule for every request body field that sets a password
+export const passwordSchema = Joi.string()
+  .required()
+  .custom((value, helpers) => {
+    const errors = checkPasswordStrength(value);
+    return errors.length > 0 ? helpers.message(errors.join('. ')) : value;
+  })
+  .messages({
+    'string.empty': 'Password is required',
+    'any.required': 'Password is required'
+  });
+
+/**
+ * Whether the user's password is older than the configured maximum age
+ * Accounts without a password (provider-only logins) never expire.
+ * @param {Object} user - User instance
+ * @returns {boolean}
+ */
+export const isPasswordExpired = (user) => {
+  if (!PASSWORD_POLICY.maxAgeDays || !user.password) return false;
+
+  const changedAt = new Date(user.password_changed_at || user.created_at).getTime();
+  return Date.now() - changedAt > PASSWORD_POLICY.maxAgeDays * DAY_MS;
+};
+
+// The current password counts as one of the last historyCount; older ones come from password_histories
+const HISTORY_ROWS = Math.max(PASSWORD_POLICY.historyCount - 1, 0);
+
+const assertNotReused = async (user, password) => {
+  if (!PASSWORD_POLICY.historyCount) return;
+
+  const history = HISTORY_ROWS > 0
+    ? await PasswordHistory.findAll({
+      where: { user_id: user.id },
+      order: [['created_at', 'DESC']],
+      limit: HISTORY_ROWS,
+      attributes: ['password_hash']
+    })
+    : [];
+
+  const previousHashes = [user.password, ...history.map((entry) => entry.password_hash)].filter(Boolean);
+  const matches = await Promise.all(previousHashes.map((hash) => bcrypt.compare(password, hash)));
+
+  if (matches.some(Boolean)) {
+    throw new AppError(
+      `Password was used recently. Choose one you haven't used in your last ${PASSWORD_POLICY.historyCount} passwords`,
+      400,
+      true,
+      ERROR_CODES.PASSWORD_REUSED
+    );
+  }
+};
+
+// Keep only the rows the history rule still needs
+const pruneHistory = async (userId) => {
+  const stale = await PasswordHistory.findAll({
+    where: { user_id: userId },
+    order: [['created_at', 'DESC']],
+    offset: HISTORY_ROWS,
+    attributes: ['id']
+  });
+
+  if (stale.length > 0) {
+    await PasswordHistory.destroy({ where: { id: stale.map((entry) => entry.id) } });
+  }
+};
+
+/**
+ * Hash a password for a new account
+ * @param {string} password - Plain password (already validated by passwordSchema)
+ * @returns {Promise<Object>} - { password, password_changed_at } ready for User.create
+ */
+export const hashNewPassword = async (password) => ({
+  password: await bcrypt.hash(password, BCRYPT_ROUNDS),
+  password_changed_at: new Date()
+});
+
+/**
+ * Replace a user's password, enforcing the history rule and recording the old one
+ * @param {Object} user - User instance
+ * @param {string} password - New plain password (already validated by passwordSchema)
+ * @param {Object} fields - Extra user fields to update in the same write
+ * @returns {Promise<Object>} - Updated user
+ */
+export const setPassword = async (user, password, fields = {}) => {
+  await assertNotReused(user, password);
+
+  if (HISTORY_ROWS > 0 && user.password) {
+    await PasswordHistory.create({
+      user_id: user.id,
+      password_hash: user.password
+    });
+    await pruneHistory(user.id);
+  }
+
+  return user.update({
+    ...fields,
+    ...(await hashNewPassword(password))
+  });
+};
+
+export default {
+  checkPasswordStrength,
+  passwordSchema,
+  isPasswordExpired,
+  hashNewPassword,
+  setPassword
+};
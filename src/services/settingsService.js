@@ -0,0 +1,125 @@
+import Joi from 'joi';
+import db from '../../database/models/index.js';
+import { AppError, COMMON_ERRORS, ERROR_CODES } from '../middleware/errorHandler.js';
+
+const { User } = db;
+
+/**
+ * Settings Service
+ * Per-user settings (locale, theme, notification opt-outs...) stored in users.settings.
+ * Every key is declared once with a Joi schema carrying its default, so reads always return
+ * a complete, valid set; the database only keeps the values a user changed.
+ */
+
+const registry = new Map();
+
+const getDefault = (schema) => schema.validate(undefined).value;
+
+/**
+ * Declare settings keys
+ * Modules call this when they are loaded. Namespace keys with a dot (`notifications.newSignIn`).
+ * @param {Object} definitions - { key: Joi schema with a .default() }
+ */
+export const registerSettings = (definitions) => {
+  Object.entries(definitions).forEach(([key, schema]) => {
+    if (registry.has(key)) {
+      throw new Error(`Setting already registered: ${key}`);
+    }
+
+    if (getDefault(schema) === undefined) {
+      throw new Error(`Setting ${key} must declare a default`);
+    }
+
+    registry.set(key, schema);
+  });
+};
+
+export const getSettingDefaults = () => Object.fromEntries(
+  [...registry].map(([key, schema]) => [key, getDefault(schema)])
+);
+
+// Stored values that no longer pass their schema fall back to the default; unregistered keys are ignored
+const resolveSettings = (stored) => Object.fromEntries(
+  [...registry].map(([key, schema]) => {
+    if (stored[key] === undefined) return [key, getDefault(schema)];
+
+    const { error, value } = schema.validate(stored[key]);
+    return [key, error ? getDefault(schema) : value];
+  })
+);
+
+/**
+ * A user's complete settings
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} - Every registered key with the user's value or its default
+ */
+export const getUserSettings = async (userId) => {
+  const user = await User.findByPk(userId, { attributes: ['id', 'settings'] });
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  return resolveSettings(user.settings || {});
+};
+
+/**
+ * Read one setting for a user
+ * @param {number} userId - User ID
+ * @param {string} key - Registered setting key
+ * @returns {Promise<*>} - The user's value or the default
+ */
+export const getUserSetting = async (userId, key) => {
+  if (!registry.has(key)) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  const settings = await getUserSettings(userId);
+  return settings[key];
+};
+
+/**
+ * Change some of a user's settings
+ * The change is rejected as a whole when a key is unknown or a value invalid. null resets a key
+ * to its default.
+ * @param {number} userId - User ID
+ * @param {Object} changes - { key: value }
+ * @returns {Promise<Object>} - Complete settings after the change
+ */
+export const updateUserSettings = async (userId, changes) => {
+  const schema = Joi.object(
+    Object.fromEntries([...registry].map(([key, keySchema]) => [key, keySchema.allow(null)]))
+  )
+    .min(1)
+    .messages({ 'object.min': 'Provide at least one setting to change' });
+
+  const { error, value } = schema.validate(changes, { abortEarly: false, noDefaults: true });
+
+  if (error) {
+    const message = error.details.map((detail) => detail.message).join(', ');
+    throw new AppError(message, 400, true, ERROR_CODES.VALIDATION_ERROR);
+  }
+
+  const user = await User.findByPk(userId, { attributes: ['id', 'settings'] });
+
+  if (!user) {
+    throw new AppError(COMMON_ERRORS.NOT_FOUND);
+  }
+
+  const merged = { ...(user.settings || {}), ...value };
+  const settings = Object.fromEntries(
+    Object.entries(merged).filter(([key, setting]) => setting !== null && registry.has(key))
+  );
+
+  await user.update({ settings });
+
+  return resolveSettings(settings);
+};
+
+export default {
+  registerSettings,
+  getSettingDefaults,
+  getUserSettings,
+  getUserSetting,
+  updateUserSettings
+};
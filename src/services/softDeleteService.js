@@ -0,0 +1,43 @@
+import { Op, literal } from 'sequelize';
+import db from '../../database/models/index.js';
+
+/**
+ * Soft Delete Service
+ * Permanently removes rows of paranoid models (soft-deleted through destroy()) once they
+ * have been deleted for longer than the retention period. Every model defined with
+ * `paranoid: true` is picked up, including ones created by the schema generator.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rows kept past retention: database cascades would otherwise take live data with them.
+// Users who still own products stay soft-deleted (products outlive their owner, as with erasure).
+const keptRows = () => ({
+  User: { id: { [Op.notIn]: literal(`(SELECT DISTINCT user_id FROM ${db.Product.getTableName()} WHERE user_id IS NOT NULL)`) } }
+});
+
+/**
+ * Purge soft-deleted rows
+ * Users who still own products are skipped, so no product is removed by a cascade.
+ * @param {number} retentionDays - Keep rows deleted within this many days
+ * @returns {Promise<Object>} - Rows removed per model name
+ */
+export const purgeSoftDeleted = async (retentionDays) => {
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+  const models = Object.values(db.sequelize.models).filter((model) => model.options.paranoid);
+  const kept = keptRows();
+
+  const counts = await Promise.all(models.map((model) => model.destroy({
+    where: {
+      [model.options.deletedAt || 'deletedAt']: { [Op.lt]: cutoff },
+      ...kept[model.name]
+    },
+    force: true
+  })));
+
+  return Object.fromEntries(models.map((model, i) => [model.name, counts[i]]));
+};
+
+export default {
+  purgeSoftDeleted
+};
@@ -0,0 +1,109 @@
+import logger from '../config/logger.js';
+
+/**
+ * Token Revocation Service
+ * Deny-list for access tokens that must stop working before they expire.
+ *
+ * Entries are keyed by:
+ * - `jti:<token id>`   a single access token (logout)
+ * - `sid:<session id>` every access token issued for a session (session revoked, password change, force sign-out)
+ *
+ * Each entry only needs to live as long as the tokens it blocks, so entries carry an
+ * expiry and are pruned by the `prune-revoked-tokens` cron job.
+ *
+ * Backend interface (all methods may be async):
+ * - add(key, expiresAt)  store a key until expiresAt (Date)
+ * - has(key)             true if the key is stored and not expired
+ * - prune()              remove expired keys, return the number removed
+ *
+ * The default in-memory store is per process. Multi-instance deployments should plug in a
+ * shared backend (Redis, database table, ...) with setRevocationStore() at startup.
+ */
+
+export class MemoryRevocationStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async add(key, expiresAt) {
+    this.entries.set(key, new Date(expiresAt).getTime());
+  }
+
+  async has(key) {
+    const expiresAt = this.entries.get(key);
+    return expiresAt !== undefined && expiresAt > Date.now();
+  }
+
+  async prune() {
+    const now = Date.now();
+    let removed = 0;
+
+    this.entries.forEach((expiresAt, key) => {
+      if (expiresAt <= now) {
+        this.entries.delete(key);
+        removed += 1;
+      }
+    });
+
+    return removed;
+  }
+}
+
+let store = new MemoryRevocationStore();
+
+/**
+ * Replace the revocation backend
+ * @param {Object} backend - Object implementing add/has/prune
+ */
+export const setRevocationStore = (backend) => {
+  ['add', 'has', 'prune'].forEach((method) => {
+    if (!backend || typeof backend[method] !== 'function') {
+      throw new Error(`Revocation store must implement ${method}()`);
+    }
+  });
+
+  store = backend;
+  logger.info(`Token revocation store set: ${backend.constructor.name}`);
+};
+
+/**
+ * Revoke a single access token
+ * @param {string} jti - Token ID (jti claim)
+ * @param {Date|number} expiresAt - When the token expires anyway
+ */
+export const revokeAccessToken = async (jti, expiresAt) => {
+  if (!jti) return;
+  await store.add(`jti:${jti}`, expiresAt);
+};
+
+/**
+ * Revoke every access token issued for a session
+ * @param {string} sessionId - Session ID (sid claim)
+ * @param {Date|number} expiresAt - Upper bound for the expiry of those tokens
+ */
+export const revokeSessionAccessTokens = async (sessionId, expiresAt) => {
+  if (!sessionId) return;
+  await store.add(`sid:${sessionId}`, expiresAt);
+};
+
+/**
+ * Check decoded access token claims against the deny-list
+ * @param {Object} claims - Decoded JWT payload
+ * @returns {Promise<boolean>}
+ */
+export const isAccessTokenRevoked = async ({ jti, sid }) => {
+  if (jti && await store.has(`jti:${jti}`)) return true;
+  if (sid && await store.has(`sid:${sid}`)) return true;
+  return false;
+};
+
+export const pruneRevokedTokens = async () => store.prune();
+
+export default {
+  MemoryRevocationStore,
+  setRevocationStore,
+  revokeAccessToken,
+  revokeSessionAccessTokens,
+  isAccessTokenRevoked,
+  pruneRevokedTokens
+};
@@ -0,0 +1,63 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Token Service
+ * Helpers for opaque tokens (reset links, verification links, sessions) and secrets stored at rest
+ */
+
+/**
+ * Generate a cryptographically random token
+ * @param {number} bytes - Number of random bytes (default: 32)
+ * @returns {string} - Hex encoded token
+ */
+export const generateRandomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Hash a token before storing it (security best practice)
+ * @param {string} token - Plain token
+ * @returns {string} - SHA-256 hex digest
+ */
+export const hashToken = (token) => crypto
+  .createHash('sha256')
+  .update(token)
+  .digest('hex');
+
+// Secrets are encrypted at rest with AES-256-GCM
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+/**
+ * Encrypt a secret for storage (TOTP secrets, signing keys)
+ * @param {string} secret - Plain value
+ * @returns {string} - iv:authTag:ciphertext (base64)
+ */
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a stored secret
+ * @param {string} payload - Value produced by encryptSecret
+ * @returns {string} - Plain value
+ */
+export const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = payload.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+export default {
+  generateRandomToken,
+  hashToken,
+  encryptSecret,
+  decryptSecret
+};
@@ -121,3 +121,140 @@ export const verificationEmailBody = (name, verifyUrl) => `
   </table>
   <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">If you didn't create an account, you can safely ignore this email.</p>
 `;
+
+export const accountSetupBody = (name, setupUrl, expiresInDays) => `
+  <h2 style="color: #667eea; font-size: 24px; margin-top: 0; font-family: Arial, Helvetica, sans-serif;" class="email-heading">Your Account Is Ready</h2>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">Hi ${name},</p>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">An account has been created for you. Click the button below to choose your password and sign in:</p>
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
+    <tr>
+      <td align="center" style="padding: 20px 0;">
+        <a href="${setupUrl}" style="display: inline-block; padding: 14px 30px; background-color: #667eea; color: #ffffff; text-decoration: none; border-radius: 5px; font-weight: 600; font-size: 16px; font-family: Arial, Helvetica, sans-serif;">Set Password</a>
+      </td>
+    </tr>
+  </table>
+  <p style="color: #666666; font-size: 14px; margin: 15px 0; font-family: Arial, Helvetica, sans-serif;" class="email-footer-text">This link can be used once and will expire in ${expiresInDays} days.</p>
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
+    <tr>
+      <td style="padding: 20px 0;">
+        <div style="height: 1px; background-color: #e0e0e0;" class="divider-line"></div>
+      </td>
+    </tr>
+  </table>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">If you weren't expecting this, you can safely ignore this email.</p>
+`;
+
+export const invitationBody = (inviterName, acceptUrl, expiresInDays) => `
+  <h2 style="color: #667eea; font-size: 24px; margin-top: 0; font-family: Arial, Helvetica, sans-serif;" class="email-heading">You're Invited</h2>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">Hi,</p>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">${inviterName} has invited you to create an account. Click the button below to choose your name and password:</p>
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
+    <tr>
+      <td align="center" style="padding: 20px 0;">
+        <a href="${acceptUrl}" style="display: inline-block; padding: 14px 30px; background-color: #667eea; color: #ffffff; text-decoration: none; border-radius: 5px; font-weight: 600; font-size: 16px; font-family: Arial, Helvetica, sans-serif;">Accept Invitation</a>
+      </td>
+    </tr>
+  </table>
+  <p style="color: #666666; font-size: 14px; margin: 15px 0; font-family: Arial, Helvetica, sans-serif;" class="email-footer-text">This invitation can be used once and will expire in ${expiresInDays} days.</p>
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
+    <tr>
+      <td style="padding: 20px 0;">
+        <div style="height: 1px; background-color: #e0e0e0;" class="divider-line"></div>
+      </td>
+    </tr>
+  </table>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">If you weren't expecting this invitation, you can safely ignore this email.</p>
+`;
+
+export const passwordChangedBody = (name, changedAt) => `
+  <h2 style="color: #667eea; font-size: 24px; margin-top: 0; font-family: Arial, Helvetica, sans-serif;" class="email-heading">Your Password Was Changed</h2>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">Hi ${name},</p>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">The password for your account was changed on ${changedAt}. All other devices have been signed out.</p>
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
+    <tr>
+      <td style="padding: 20px 0;">
+        <div style="height: 1px; background-color: #e0e0e0;" class="divider-line"></div>
+      </td>
+    </tr>
+  </table>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">If you didn't make this change, please reset your password immediately and contact our support team.</p>
+`;
+
+export const magicLinkBody = (name, loginUrl, expiresInMinutes) => `
+  <h2 style="color: #667eea; font-size: 24px; margin-top: 0; font-family: Arial, Helvetica, sans-serif;" class="email-heading">Your Login Link</h2>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">Hi ${name},</p>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">Click the button below to sign in. No password needed:</p>
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
+    <tr>
+      <td align="center" style="padding: 20px 0;">
+        <a href="${loginUrl}" style="display: inline-block; padding: 14px 30px; background-color: #667eea; color: #ffffff; text-decoration: none; border-radius: 5px; font-weight: 600; font-size: 16px; font-family: Arial, Helvetica, sans-serif;">Sign In</a>
+      </td>
+    </tr>
+  </table>
+  <p style="color: #666666; font-size: 14px; margin: 15px 0; font-family: Arial, Helvetica, sans-serif;" class="email-footer-text">This link can be used once and will expire in ${expiresInMinutes} minutes.</p>
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
+    <tr>
+      <td style="padding: 20px 0;">
+        <div style="height: 1px; background-color: #e0e0e0;" class="divider-line"></div>
+      </td>
+    </tr>
+  </table>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">If you didn't request this link, you can safely ignore this email.</p>
+`;
+
+export const newSignInBody = (name, { signedInAt, device, ipAddress }, reportUrl, expiresInDays) => `
+  <h2 style="color: #667eea; font-size: 24px; margin-top: 0; font-family: Arial, Helvetica, sans-serif;" class="email-heading">New Sign-In to Your Account</h2>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">Hi ${name},</p>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">Your account was just signed in to from a device we haven't seen before:</p>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">
+    <strong>Time:</strong> ${signedInAt}<br>
+    <strong>Device:</strong> ${device}<br>
+    <strong>IP address:</strong> ${ipAddress || 'Unknown'}
+  </p>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">If this was you, there's nothing else to do. If it wasn't, click the button below to sign out every device and reset your password:</p>
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
+    <tr>
+      <td align="center" style="padding: 20px 0;">
+        <a href="${reportUrl}" style="display: inline-block; padding: 14px 30px; background-color: #e53e3e; color: #ffffff; text-decoration: none; border-radius: 5px; font-weight: 600; font-size: 16px; font-family: Arial, Helvetica, sans-serif;">This Wasn't Me</a>
+      </td>
+    </tr>
+  </table>
+  <p style="color: #666666; font-size: 14px; margin: 15px 0; font-family: Arial, Helvetica, sans-serif;" class="email-footer-text">This link can be used once and will expire in ${expiresInDays} days.</p>
+`;
+
+export const dataExportBody = (name, downloadUrl, expiresInHours) => `
+  <h2 style="color: #667eea; font-size: 24px; margin-top: 0; font-family: Arial, Helvetica, sans-serif;" class="email-heading">Your Data Export Is Ready</h2>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">Hi ${name},</p>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">We've put together a copy of the data we hold about your account. Click the button below to download it:</p>
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
+    <tr>
+      <td align="center" style="padding: 20px 0;">
+        <a href="${downloadUrl}" style="display: inline-block; padding: 14px 30px; background-color: #667eea; color: #ffffff; text-decoration: none; border-radius: 5px; font-weight: 600; font-size: 16px; font-family: Arial, Helvetica, sans-serif;">Download Export</a>
+      </td>
+    </tr>
+  </table>
+  <p style="color: #666666; font-size: 14px; margin: 15px 0; font-family: Arial, Helvetica, sans-serif;" class="email-footer-text">This link will expire in ${expiresInHours} hours. You can request a new export from your account at any time.</p>
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
+    <tr>
+      <td style="padding: 20px 0;">
+        <div style="height: 1px; background-color: #e0e0e0;" class="divider-line"></div>
+      </td>
+    </tr>
+  </table>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">If you didn't request this export, please change your password immediately.</p>
+`;
+
+export const erasureScheduledBody = (name, scheduledFor) => `
+  <h2 style="color: #667eea; font-size: 24px; margin-top: 0; font-family: Arial, Helvetica, sans-serif;" class="email-heading">Your Account Will Be Erased</h2>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">Hi ${name},</p>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">We received a request to erase your account. Your personal data will be permanently removed on <strong>${scheduledFor}</strong>.</p>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">Until then you can keep using your account, and you can cancel the request from your account settings.</p>
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
+    <tr>
+      <td style="padding: 20px 0;">
+        <div style="height: 1px; background-color: #e0e0e0;" class="divider-line"></div>
+      </td>
+    </tr>
+  </table>
+  <p style="font-size: 16px; margin: 15px 0; color: #333333; font-family: Arial, Helvetica, sans-serif;" class="email-text">If you didn't make this request, sign in and cancel it, then change your password immediately.</p>
+`;